@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+import os from "os";
+import { parseArgs } from "util";
+import { validateActions } from "./lib/actions.js";
+import { categoryList } from "./lib/selection.js";
+import {
+  contextFor,
+  historyFor,
+  loadStore,
+  restoreQuarantineItem,
+  restoreRun,
+  runAutomaticClean,
+  scanRoot
+} from "./index.js";
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  scan                        Scan a root and show reclaimable space per category
+  clean --categories a,b      Clean the given categories (deleted files go to quarantine)
+  history                     List recent clean runs
+  restore <id>                Restore a clean run's quarantined files, or one quarantine item
+
+Options:
+  --root <id>                 Root to work on (default: the first registered root)
+  --json                      Print JSON instead of a table
+  --dry-run                   clean: only report what would be cleaned
+  --action <category>=<act>   clean: compress or archive a category instead of deleting it
+  --full                      scan: list every directory again instead of reusing the index
+  --limit <n>                 history: show at most n runs
+  -h, --help                  Show this help
+
+Cleans from the CLI are not ordered with cleans a running server makes:
+avoid cleaning a root the server may be cleaning at the same time.
+
+Exit codes:
+  0  success
+  1  the command failed, or some files could not be cleaned or restored
+  2  usage error: unknown command, option, root, category or id`;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+// Changes made from the CLI are attributed to the local user in the history
+// and the audit log.
+const identity = { id: "cli", name: os.userInfo().username, role: "admin" };
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+const table = (rows, columns) => {
+  const cells = rows.map((row) => columns.map((column) => String(column.value(row) ?? "")));
+  const widths = columns.map((column, i) =>
+    Math.max(column.title.length, ...cells.map((line) => line[i].length))
+  );
+  const format = (line) =>
+    line
+      .map((cell, i) => (columns[i].right ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+      .join("  ")
+      .trimEnd();
+  return [format(columns.map((column) => column.title)), ...cells.map(format)].join("\n");
+};
+
+const resolveContext = (rootId) => {
+  const { roots } = loadStore();
+  const root = rootId ? roots.find((item) => item.id === rootId) : roots[0];
+  if (!root) {
+    throw new UsageError(rootId ? `Unknown root: ${rootId}` : "No storage roots registered");
+  }
+  return contextFor(root);
+};
+
+const parseActions = (values = []) => {
+  const actions = {};
+  for (const value of values) {
+    const [category, action] = value.split("=");
+    if (!category || !action) throw new UsageError(`--action expects category=action: ${value}`);
+    actions[category] = action;
+  }
+  const error = validateActions(actions);
+  if (error) throw new UsageError(error.replace(/^actions\./, "--action "));
+  return actions;
+};
+
+const scan = async (options) => {
+  const ctx = resolveContext(options.root);
+  const { categoryFiles, ...result } = await scanRoot(ctx, { full: options.full });
+  if (options.json) {
+    print(JSON.stringify(result, null, 2));
+    return EXIT_OK;
+  }
+  print(
+    table(result.categories, [
+      { title: "CATEGORY", value: (c) => c.id },
+      { title: "NAME", value: (c) => c.name },
+      { title: "RECLAIMABLE MB", value: (c) => c.sizeMB, right: true },
+      { title: "FILES", value: (c) => categoryFiles[c.id]?.length ?? 0, right: true }
+    ])
+  );
+  print(
+    `\nRoot ${result.root}: ${result.totalUsedMB} MB used, ` +
+      `${result.totalReclaimableMB} MB reclaimable, ${result.protectedMB} MB protected`
+  );
+  if (result.compressedFiles) {
+    print(`${result.compressedFiles} compressed output(s) kept: ${result.compressedMB} MB`);
+  }
+  if (result.mismatches.totalFiles) {
+    print(
+      `${result.mismatches.totalFiles} file(s) have an extension that does not match ` +
+        "their content:"
+    );
+    for (const file of result.mismatches.files) {
+      print(`  ${file.path}: named ${file.expected}, contains ${file.actual}`);
+    }
+  }
+  if (result.similar.totalGroups) {
+    print(`${result.similar.totalGroups} group(s) of similar photos, keeping the best of each:`);
+    for (const group of result.similar.groups) {
+      const { keep } = group;
+      print(`  keep ${keep.path} (${keep.width}x${keep.height}), ${group.similar.length} similar:`);
+      for (const item of group.similar) {
+        print(`    ${item.path} (${item.width}x${item.height}, distance ${item.distance})`);
+      }
+    }
+  }
+  return EXIT_OK;
+};
+
+const clean = async (options) => {
+  const categories = (options.categories || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (!categories.length) throw new UsageError("clean needs --categories");
+  const actions = parseActions(options.action);
+  const ctx = resolveContext(options.root);
+  const fresh = await scanRoot(ctx);
+  const unknown = categories.filter((id) => !categoryList(fresh, id));
+  if (unknown.length) throw new UsageError(`Unknown category: ${unknown.join(", ")}`);
+
+  const result = await runAutomaticClean(
+    ctx,
+    fresh,
+    { categories, simulated: options["dry-run"], actions },
+    { identity }
+  );
+  const summary = {
+    root: result.root,
+    runId: result.runId,
+    simulated: result.simulated,
+    cleanedMB: result.cleanedMB,
+    cleanedFiles: result.cleanedFiles,
+    actions: result.actions,
+    skipped: result.skipped,
+    failed: result.failed
+  };
+  if (options.json) {
+    print(JSON.stringify(summary, null, 2));
+  } else {
+    const rows = Object.entries(summary.actions).map(([action, item]) => ({ action, ...item }));
+    if (rows.length) {
+      print(
+        table(rows, [
+          { title: "ACTION", value: (row) => row.action },
+          { title: "FILES", value: (row) => row.files, right: true },
+          { title: "SAVED MB", value: (row) => row.savedMB ?? "?", right: true }
+        ])
+      );
+      print("");
+    }
+    for (const item of summary.skipped) {
+      print(`skipped ${item.path || item.category}: ${item.reason}`);
+    }
+    for (const item of summary.failed) print(`failed ${item.path}: ${item.reason}`);
+    const mode = summary.simulated ? " (dry run, nothing was changed)" : "";
+    print(
+      `Run ${summary.runId}: ${summary.cleanedFiles} file(s), ${summary.cleanedMB} MB${mode}`
+    );
+  }
+  return summary.failed.length ? EXIT_FAILED : EXIT_OK;
+};
+
+const history = async (options) => {
+  if (options.root) resolveContext(options.root);
+  let entries = historyFor(loadStore().history, options.root);
+  if (options.limit !== undefined) {
+    const limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new UsageError("--limit must be a positive integer");
+    }
+    entries = entries.slice(0, limit);
+  }
+  if (options.json) {
+    print(JSON.stringify(entries, null, 2));
+    return EXIT_OK;
+  }
+  if (!entries.length) {
+    print("No clean runs yet.");
+    return EXIT_OK;
+  }
+  const mode = (entry) => {
+    if (entry.simulated) return "dry run";
+    if (entry.reverted) return "reverted";
+    return entry.scheduled ? "scheduled" : "applied";
+  };
+  print(
+    table(entries, [
+      { title: "RUN", value: (e) => e.id },
+      { title: "ROOT", value: (e) => e.root || "default" },
+      { title: "TIME", value: (e) => e.time },
+      { title: "FILES", value: (e) => e.cleanedFiles ?? "", right: true },
+      { title: "MB", value: (e) => e.cleanedMB, right: true },
+      { title: "MODE", value: mode },
+      { title: "BY", value: (e) => e.by?.name || "" },
+      { title: "CATEGORIES", value: (e) => (e.categories || []).join(",") }
+    ])
+  );
+  return EXIT_OK;
+};
+
+const restore = async (options, [id]) => {
+  if (!id) throw new UsageError("restore needs a clean run id or a quarantine item id");
+  const results = (await restoreRun(id, identity)) || (await restoreQuarantineItem(id, identity));
+  if (!results) throw new UsageError(`Nothing in quarantine for: ${id}`);
+  if (options.json) {
+    print(JSON.stringify(results, null, 2));
+  } else {
+    print(
+      table(results, [
+        { title: "PATH", value: (r) => r.path },
+        { title: "RESULT", value: (r) => (r.restored ? "restored" : r.reason) }
+      ])
+    );
+  }
+  return results.every((r) => r.restored) ? EXIT_OK : EXIT_FAILED;
+};
+
+const COMMANDS = { scan, clean, history, restore };
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        root: { type: "string" },
+        json: { type: "boolean", default: false },
+        categories: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        action: { type: "string", multiple: true },
+        full: { type: "boolean", default: false },
+        limit: { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  const [command, ...rest] = parsed.positionals;
+  if (parsed.values.help) {
+    print(USAGE);
+    return EXIT_OK;
+  }
+  if (!command) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  try {
+    return await COMMANDS[command](parsed.values, rest);
+  } catch (err) {
+    console.error(err.message);
+    return err instanceof UsageError ? EXIT_USAGE : EXIT_FAILED;
+  }
+};
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,263 +1,2026 @@
 import express from "express";
 import cors from "cors";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { DUPLICATES_CATEGORY, extensionOf } from "../shared/classify.js";
+import { contentMismatch } from "../shared/content.js";
+import { findDuplicateGroups, markDuplicates } from "../shared/duplicates.js";
+import { createHashCache } from "./lib/duplicates.js";
+import { createScanIndex } from "./lib/scan-index.js";
+import {
+  SIMILAR_CATEGORY,
+  findSimilarGroups,
+  normalizeSimilarSettings,
+  validateSimilarSettings
+} from "./lib/similar.js";
+import { oneLinkPerInode, reclaimableBytes, uniqueBytes } from "./lib/links.js";
+import { createScanJobs } from "./lib/scan-jobs.js";
+import { createAuth, createTokenStore, describeIdentity, validateTokenRequest } from "./lib/auth.js";
+import {
+  createSchedule,
+  createScheduler,
+  nextRunAt,
+  updateSchedule,
+  validateSchedule
+} from "./lib/schedules.js";
+import {
+  appendDelivery,
+  createThreshold,
+  deliverWebhook,
+  evaluateThreshold,
+  updateThreshold,
+  validateThreshold
+} from "./lib/thresholds.js";
+import { createAuditLog, csvHeader, csvRow, parseAuditQuery } from "./lib/audit.js";
+import { buildTree, largestEntries, resolveTreePath } from "./lib/tree.js";
+import {
+  createTrendStore,
+  daysToCapacity,
+  growthPerDay,
+  parseTrendWindow,
+  snapshotFromScan,
+  toSeries
+} from "./lib/trends.js";
+import {
+  actionFor,
+  archiveFile,
+  archiveFreesSpace,
+  compressFile,
+  validateActions
+} from "./lib/actions.js";
+import { createRootWatcher } from "./lib/watcher.js";
+import { createFileBackend, createMemoryBackend, createStore, writeFileAtomic } from "./lib/store.js";
+import { createLockManager } from "./lib/locks.js";
+import { createPlanStore, findChangedFiles, snapshotFiles } from "./lib/plans.js";
+import { categoryList, describeFile, listFiles, resolveCleanTargets } from "./lib/selection.js";
+import { prepareRoot, validateCapacity, withinRoot } from "./lib/roots.js";
+import {
+  compileProtection,
+  normalizePin,
+  normalizeProtection,
+  validateProtection
+} from "./lib/protection.js";
+import {
+  markRestored,
+  moveFile,
+  purgeItem,
+  quarantineFile,
+  restoreItem,
+  selectExpired
+} from "./lib/quarantine.js";
+import { defaultAgeRules, isStale, mergeAgeRules, validateAgeRules } from "./lib/age.js";
+import {
+  categoriesFromRules,
+  compileRules,
+  loadRules,
+  saveRules,
+  validateRule,
+  validateRules
+} from "./lib/rules.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_PATH = path.join(__dirname, "storage.json");
+const STORE_BACKEND = process.env.STORE_BACKEND || "file";
+const HASH_CACHE_PATH = path.join(__dirname, "hash-cache.json");
+const RULES_PATH = process.env.RULES_PATH || path.join(__dirname, "rules.json");
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, "audit.jsonl");
+const TRENDS_PATH = process.env.TRENDS_PATH || path.join(__dirname, "trends.json");
+const TREND_RETENTION_DAYS = Number(process.env.TREND_RETENTION_DAYS || 365);
+const TOKENS_PATH = process.env.TOKENS_PATH || path.join(__dirname, "tokens.json");
+const ADMIN_TOKEN_PATH = path.join(__dirname, "admin-token");
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 const DEFAULT_ROOT = path.join(__dirname, "sample_storage");
 const STORAGE_ROOT = process.env.STORAGE_ROOT || DEFAULT_ROOT;
-const ALLOW_DELETE = process.env.CLEANER_ALLOW_DELETE === "true";
+const CLEAN_PLAN_TTL_SECONDS = Number(process.env.CLEAN_PLAN_TTL_SECONDS || 600);
+const CLEAN_LOCK_WAIT_SECONDS = Number(process.env.CLEAN_LOCK_WAIT_SECONDS || 300);
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, "quarantine");
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, "archive");
+const WATCH_ENABLED = process.env.WATCH_ROOTS !== "false";
+const WATCH_DEBOUNCE_MS = Number(process.env.WATCH_DEBOUNCE_MS || 1000);
+const WATCH_POLL_SECONDS = Number(process.env.WATCH_POLL_SECONDS || 300);
+
+// A positive number from the environment, or `fallback` when the variable is
+// unset or invalid: a NaN purge interval would run the purge nonstop.
+const positiveEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  if (Number.isFinite(value) && value > 0) return value;
+  console.warn(`Ignoring ${name}=${raw}: expected a positive number, using ${fallback}`);
+  return fallback;
+};
+
+const QUARANTINE_RETENTION_DAYS = positiveEnv("QUARANTINE_RETENTION_DAYS", 7);
+const QUARANTINE_MAX_MB = positiveEnv("QUARANTINE_MAX_MB", 2048);
+const QUARANTINE_PURGE_MINUTES = positiveEnv("QUARANTINE_PURGE_MINUTES", 60);
 
 const app = express();
-app.use(cors());
+app.use(cors(CORS_ORIGINS.length ? { origin: CORS_ORIGINS } : undefined));
 app.use(express.json());
 
+// Express 4 does not catch rejected promises: a throw in an async handler
+// would end the process. This hands it to the error handler instead.
+const asyncRoute = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
 const MB = 1024 * 1024;
-const MEDIA_EXTS = new Set([
-  ".mp4",
-  ".mov",
-  ".mkv",
-  ".avi",
-  ".zip",
-  ".rar",
-  ".7z",
-  ".tar",
-  ".gz",
-  ".iso"
-]);
-const LOG_EXTS = new Set([".log"]);
+const HISTORY_PER_ROOT = 10;
+const MISMATCHES_LISTED = 100;
+const SIMILAR_GROUPS_LISTED = 50;
 const IGNORED_DIRS = new Set(["node_modules", ".git", ".expo"]);
 
+const hashCache = createHashCache(HASH_CACHE_PATH);
+const auditLog = createAuditLog(AUDIT_LOG_PATH);
+const trendStore = createTrendStore(TRENDS_PATH, { retentionDays: TREND_RETENTION_DAYS });
+const tokenStore = createTokenStore(TOKENS_PATH);
+const requireRole = createAuth(tokenStore);
+// EventSource cannot send headers, so only the event streams also take the
+// token as ?access_token.
+const requireEventReader = requireRole("read", { queryToken: true });
+const cleanPlans = createPlanStore({ ttlMs: CLEAN_PLAN_TTL_SECONDS * 1000 });
+const cleanLocks = createLockManager();
+
+const defaultRoots = () => [
+  {
+    id: "default",
+    name: "Default",
+    path: path.resolve(STORAGE_ROOT),
+    createdAt: null
+  }
+];
+
 const emptyStore = () => ({
-  history: []
+  roots: defaultRoots(),
+  history: [],
+  quarantine: [],
+  settings: { ageRules: defaultAgeRules(), similarPhotos: normalizeSimilarSettings() },
+  protection: normalizeProtection(),
+  schedules: [],
+  thresholds: [],
+  compressed: []
 });
 
-const loadStore = () => {
-  if (!fs.existsSync(DATA_PATH)) return emptyStore();
-  const raw = fs.readFileSync(DATA_PATH, "utf-8");
-  try {
-    const data = JSON.parse(raw);
-    return { history: Array.isArray(data.history) ? data.history : [] };
-  } catch {
-    return emptyStore();
-  }
-};
+const normalizeStore = (data) => ({
+  roots: Array.isArray(data.roots) ? data.roots : defaultRoots(),
+  history: Array.isArray(data.history) ? data.history : [],
+  quarantine: Array.isArray(data.quarantine) ? data.quarantine : [],
+  settings: {
+    ageRules: mergeAgeRules(defaultAgeRules(), data.settings?.ageRules),
+    similarPhotos: normalizeSimilarSettings(data.settings?.similarPhotos)
+  },
+  protection: normalizeProtection(data.protection),
+  schedules: Array.isArray(data.schedules) ? data.schedules : [],
+  thresholds: Array.isArray(data.thresholds) ? data.thresholds : [],
+  compressed: Array.isArray(data.compressed) ? data.compressed : []
+});
 
-const saveStore = (store) => {
-  fs.writeFileSync(DATA_PATH, JSON.stringify(store, null, 2));
-};
+const stateStore = createStore({
+  backend: STORE_BACKEND === "memory" ? createMemoryBackend() : createFileBackend(DATA_PATH),
+  empty: emptyStore,
+  normalize: normalizeStore
+});
+
+const loadStore = () => stateStore.load();
+
+const saveStore = (store) => stateStore.save(store);
+
+const updateStore = (mutate) => stateStore.update(mutate);
 
 const toMB = (bytes) => Math.max(0, Math.round(bytes / MB));
 
-const categorizeFile = (filePath) => {
-  const lower = filePath.toLowerCase();
-  if (lower.includes(`${path.sep}cache${path.sep}`) || lower.includes(`${path.sep}tmp${path.sep}`)) {
-    return "cache";
-  }
-  if (lower.includes(`${path.sep}downloads${path.sep}`)) {
-    return "downloads";
-  }
-  const ext = path.extname(lower);
-  if (MEDIA_EXTS.has(ext)) return "media";
-  if (LOG_EXTS.has(ext)) return "logs";
-  return null;
-};
+const skipDir = (name, absPath) =>
+  IGNORED_DIRS.has(name) ||
+  path.resolve(absPath) === path.resolve(QUARANTINE_DIR) ||
+  path.resolve(absPath) === path.resolve(ARCHIVE_DIR);
 
-const scanRoot = async () => {
-  const files = [];
-  const stack = [STORAGE_ROOT];
+// Classifies an indexed file list into categories. The file objects are
+// annotated in place, so callers should pass a fresh list each time.
+const analyzeFiles = async (files, rootId) => {
+  const store = loadStore();
+  const { ageRules, similarPhotos } = store.settings;
+  const { rules } = loadRules(RULES_PATH);
+  const classify = compileRules(rules);
+  const protectionFor = compileProtection(store.protection, rootId);
+  const ruleCategories = categoriesFromRules(rules);
+  const now = Date.now();
 
-  while (stack.length) {
-    const current = stack.pop();
-    let entries = [];
-    try {
-      entries = await fs.promises.readdir(current, { withFileTypes: true });
-    } catch {
-      continue;
-    }
+  // Outputs of the compress action are what a clean chose to keep, so they
+  // are held back like protected files. Entries whose file was replaced or
+  // removed since are forgotten. The index may not have picked up a fresh
+  // output yet, so absence from `files` alone is not proof it is gone.
+  const byPath = new Map(files.map((file) => [file.relativePath, file]));
+  const rootPath = store.roots.find((root) => root.id === rootId)?.path;
+  const compressed = store.compressed.filter((item) => {
+    if (item.root !== rootId) return true;
+    const indexed = byPath.get(item.path);
+    if (indexed) return indexed.size === item.size;
+    return Boolean(rootPath) && fs.existsSync(path.join(rootPath, item.path));
+  });
+  if (compressed.length !== store.compressed.length) {
+    store.compressed = compressed;
+    saveStore(store);
+  }
+  const compressedPaths = new Set(
+    compressed.filter((item) => item.root === rootId).map((item) => item.path)
+  );
 
-    for (const entry of entries) {
-      if (entry.isDirectory()) {
-        if (IGNORED_DIRS.has(entry.name)) continue;
-        stack.push(path.join(current, entry.name));
-        continue;
-      }
-      if (!entry.isFile()) continue;
-      const fullPath = path.join(current, entry.name);
-      let stat;
-      try {
-        stat = await fs.promises.stat(fullPath);
-      } catch {
-        continue;
+  // Compressed outputs are held back the same way but counted on their own:
+  // protectedMB only reports what the protection settings exclude.
+  let protectedBytes = 0;
+  let protectedFiles = 0;
+  let compressedBytes = 0;
+  let compressedFiles = 0;
+  for (const file of files) {
+    file.protected =
+      protectionFor(file) || (compressedPaths.has(file.relativePath) ? "compressed" : null);
+    if (file.protected) {
+      if (file.protected === "compressed") {
+        compressedBytes += file.size;
+        compressedFiles += 1;
+      } else {
+        protectedBytes += file.size;
+        protectedFiles += 1;
       }
-      files.push({
-        path: fullPath,
-        name: entry.name,
-        size: stat.size,
-        category: categorizeFile(fullPath)
-      });
+      file.category = null;
+      file.rule = null;
+      continue;
     }
+    const rule = classify(file, now);
+    file.category = rule ? rule.category : null;
+    file.rule = rule ? rule.id : null;
   }
 
-  const duplicateMap = new Map();
-  for (const file of files) {
-    const key = `${file.name}:${file.size}`;
-    if (!duplicateMap.has(key)) duplicateMap.set(key, []);
-    duplicateMap.get(key).push(file);
-  }
+  const duplicateGroups = await findDuplicateGroups(oneLinkPerInode(files), hashCache.hash);
 
-  const categoryFiles = {
-    cache: [],
-    downloads: [],
-    duplicates: [],
-    media: [],
-    logs: []
-  };
+  // A protected copy is always the one kept, and is never flagged itself.
+  markDuplicates(duplicateGroups);
 
-  for (const [, group] of duplicateMap.entries()) {
-    if (group.length > 1) {
-      for (const file of group.slice(1)) {
-        file.category = "duplicates";
-      }
+  // Similar photos are opt-in, since every new image has to be decoded once.
+  // Exact copies already flagged as duplicates are left out; the best copy
+  // of each group is kept and protected files are never flagged.
+  const similarGroups = similarPhotos.enabled
+    ? await findSimilarGroups(
+        oneLinkPerInode(files).filter((file) => file.category !== "duplicates"),
+        hashCache,
+        similarPhotos
+      )
+    : [];
+  for (const group of similarGroups) {
+    for (const { file } of group.others) {
+      if (!file.protected) file.category = SIMILAR_CATEGORY.id;
     }
   }
+  hashCache.prune(new Set(files.map((f) => f.path)));
+  hashCache.save();
+
+  const extraCategories = [DUPLICATES_CATEGORY];
+  if (similarPhotos.enabled) extraCategories.push(SIMILAR_CATEGORY);
+  const categoryFiles = {};
+  for (const category of [...ruleCategories, ...extraCategories]) {
+    categoryFiles[category.id] = [];
+  }
 
+  const recentBytes = {};
   for (const file of files) {
+    if (file.category && !isStale(file, ageRules[file.category], now)) {
+      recentBytes[file.category] = (recentBytes[file.category] || 0) + file.size;
+      file.category = null;
+    }
     if (file.category && categoryFiles[file.category]) {
       categoryFiles[file.category].push(file);
     }
   }
 
-  const categories = [
-    {
-      id: "cache",
-      name: "App Cache",
-      description: "Temporary app data",
-      sizeMB: toMB(categoryFiles.cache.reduce((s, f) => s + f.size, 0))
-    },
-    {
-      id: "downloads",
-      name: "Downloads",
-      description: "Unsorted files",
-      sizeMB: toMB(categoryFiles.downloads.reduce((s, f) => s + f.size, 0))
-    },
-    {
-      id: "duplicates",
-      name: "Duplicates",
-      description: "Exact file copies",
-      sizeMB: toMB(categoryFiles.duplicates.reduce((s, f) => s + f.size, 0))
-    },
-    {
-      id: "media",
-      name: "Large Media",
-      description: "Videos and archives",
-      sizeMB: toMB(categoryFiles.media.reduce((s, f) => s + f.size, 0))
-    },
-    {
-      id: "logs",
-      name: "Old Logs",
-      description: "System logs",
-      sizeMB: toMB(categoryFiles.logs.reduce((s, f) => s + f.size, 0))
-    }
-  ];
+  // Files a rule placed in a category but that are younger than the
+  // category's age setting are left out and reported as recentMB instead.
+  // Sizes count what removing the files would actually free, so each inode
+  // is counted once and hard-linked files only count when every link is in
+  // the set.
+  const categories = [...ruleCategories, ...extraCategories].map((category) => ({
+    ...category,
+    sizeMB: toMB(reclaimableBytes(categoryFiles[category.id])),
+    rule: ageRules[category.id] || null,
+    recentMB: toMB(recentBytes[category.id] || 0)
+  }));
 
-  const totalUsedMB = toMB(files.reduce((s, f) => s + f.size, 0));
-  const totalReclaimableMB = categories.reduce((s, c) => s + c.sizeMB, 0);
+  const totalUsedMB = toMB(uniqueBytes(files));
+  const totalReclaimableMB = toMB(reclaimableBytes(Object.values(categoryFiles).flat()));
+
+  // Files whose extension names a different type than their first bytes,
+  // largest first.
+  const mismatched = [];
+  for (const file of files) {
+    const mismatch = contentMismatch(extensionOf(file.relativePath), file.contentType);
+    if (mismatch) mismatched.push({ path: file.relativePath, size: file.size, ...mismatch });
+  }
+  mismatched.sort((a, b) => b.size - a.size);
+
+  const describeImage = ({ file, image }) => ({
+    path: file.relativePath,
+    size: file.size,
+    width: image.width,
+    height: image.height
+  });
+  const similar = similarGroups
+    .map((group) => ({
+      keep: describeImage(group.keep),
+      similar: group.others.map((item) => ({ ...describeImage(item), distance: item.distance })),
+      reclaimableBytes: group.others.reduce((sum, { file }) => sum + file.size, 0)
+    }))
+    .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
 
   return {
     lastScan: new Date().toISOString(),
     totalUsedMB,
     totalReclaimableMB,
     categories,
-    categoryFiles
+    categoryFiles,
+    ageRules,
+    protectedMB: toMB(protectedBytes),
+    protectedFiles,
+    compressedMB: toMB(compressedBytes),
+    compressedFiles,
+    mismatches: {
+      totalFiles: mismatched.length,
+      files: mismatched.slice(0, MISMATCHES_LISTED)
+    },
+    similar: {
+      enabled: similarPhotos.enabled,
+      threshold: similarPhotos.threshold,
+      totalGroups: similar.length,
+      groups: similar.slice(0, SIMILAR_GROUPS_LISTED)
+    }
   };
 };
 
-const withinRoot = (filePath) => {
-  const resolvedRoot = path.resolve(STORAGE_ROOT) + path.sep;
-  const resolvedPath = path.resolve(filePath);
-  return resolvedPath.startsWith(resolvedRoot);
+// Each registered root gets its own scan index and scan job registry,
+// created on first use.
+const contexts = new Map();
+
+const contextFor = (root) => {
+  if (!contexts.has(root.id)) {
+    const ctx = {
+      root,
+      scanIndex: createScanIndex(
+        path.join(__dirname, `scan-index-${root.id}.json`),
+        path.resolve(root.path)
+      )
+    };
+    ctx.scanJobs = createScanJobs((options) => scanRoot(ctx, options), {
+      idPrefix: `scan_${root.id}`
+    });
+    contexts.set(root.id, ctx);
+  }
+  return contexts.get(root.id);
+};
+
+const dropContext = (rootId) => {
+  const ctx = contexts.get(rootId);
+  if (ctx) {
+    ctx.scanJobs.cancelAll();
+    if (ctx.watcher) ctx.watcher.stop();
+    for (const send of ctx.listeners || []) send({ event: "removed", data: { root: rootId } });
+  }
+  contexts.delete(rootId);
+  fs.rmSync(path.join(__dirname, `scan-index-${rootId}.json`), { force: true });
+};
+
+// Picks the root named by `?root=` or a `root` body field, defaulting to the
+// first registered root. Sends a 404 and returns null for an unknown id.
+const resolveRoot = (req, res) => {
+  const { roots } = loadStore();
+  const id = req.query.root || req.body?.root;
+  const root = id ? roots.find((item) => item.id === id) : roots[0];
+  if (!root) {
+    res.status(404).json({ error: id ? `Unknown root: ${id}` : "No storage roots registered" });
+    return null;
+  }
+  return contextFor(root);
+};
+
+const scanRoot = async (ctx, { full = false, onProgress, signal } = {}) => {
+  const { files, dirCount, reusedDirs } = await ctx.scanIndex.refresh({
+    skipDir,
+    full,
+    onProgress,
+    signal
+  });
+  if (onProgress) onProgress({ phase: "analyzing" });
+  const scan = await analyzeFiles(files, ctx.root.id);
+  const result = {
+    root: ctx.root.id,
+    ...scan,
+    index: { directories: dirCount, reusedDirectories: reusedDirs }
+  };
+  onScanCompleted(result);
+  return result;
+};
+
+const summarizeScan = ({ categoryFiles, ...summary }) => summary;
+
+// Resolves `latest` or a scan job id to that job's result, or runs a fresh
+// scan when no id is given. Returns null for an unknown or unfinished job.
+const scanFor = async (ctx, scanId, options) => {
+  if (!scanId) return scanRoot(ctx, options);
+  const job = ctx.scanJobs.result(scanId);
+  return job ? job.result : null;
+};
+
+// Sums every root's scan into one overview. Categories are merged by id;
+// per-root summaries are listed under `roots`.
+const aggregateScans = (scans) => {
+  const categories = new Map();
+  for (const scan of scans) {
+    for (const category of scan.categories) {
+      const merged = categories.get(category.id) || { ...category, sizeMB: 0, recentMB: 0 };
+      merged.sizeMB += category.sizeMB;
+      merged.recentMB += category.recentMB;
+      categories.set(category.id, merged);
+    }
+  }
+  return {
+    root: "all",
+    lastScan: new Date().toISOString(),
+    totalUsedMB: scans.reduce((s, scan) => s + scan.totalUsedMB, 0),
+    totalReclaimableMB: scans.reduce((s, scan) => s + scan.totalReclaimableMB, 0),
+    protectedMB: scans.reduce((s, scan) => s + scan.protectedMB, 0),
+    protectedFiles: scans.reduce((s, scan) => s + scan.protectedFiles, 0),
+    compressedMB: scans.reduce((s, scan) => s + scan.compressedMB, 0),
+    compressedFiles: scans.reduce((s, scan) => s + scan.compressedFiles, 0),
+    categories: Array.from(categories.values()),
+    mismatches: {
+      totalFiles: scans.reduce((s, scan) => s + scan.mismatches.totalFiles, 0),
+      files: scans
+        .flatMap((scan) => scan.mismatches.files.map((file) => ({ root: scan.root, ...file })))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, MISMATCHES_LISTED)
+    },
+    similar: {
+      enabled: scans.some((scan) => scan.similar.enabled),
+      threshold: scans[0]?.similar.threshold ?? null,
+      totalGroups: scans.reduce((s, scan) => s + scan.similar.totalGroups, 0),
+      groups: scans
+        .flatMap((scan) => scan.similar.groups.map((group) => ({ root: scan.root, ...group })))
+        .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes)
+        .slice(0, SIMILAR_GROUPS_LISTED)
+    },
+    roots: scans.map(summarizeScan)
+  };
+};
+
+const historyFor = (history, rootId) =>
+  rootId ? history.filter((entry) => (entry.root || "default") === rootId) : history;
+
+// Keeps the newest HISTORY_PER_ROOT entries of each root.
+const trimHistory = (history) => {
+  const counts = {};
+  return history.filter((entry) => {
+    const rootId = entry.root || "default";
+    counts[rootId] = (counts[rootId] || 0) + 1;
+    return counts[rootId] <= HISTORY_PER_ROOT;
+  });
+};
+
+const quarantineRelative = (item) =>
+  item.relativePath || path.relative(STORAGE_ROOT, item.originalPath);
+
+// Who an audit record is attributed to: a token, or the schedule or
+// threshold that started an unattended run.
+const actorOf = ({ identity, schedule, threshold } = {}) => {
+  if (identity) return `${identity.name} (${identity.id})`;
+  if (schedule) return `schedule:${schedule.id}`;
+  if (threshold) return `threshold:${threshold.id}`;
+  return null;
+};
+
+// Audit records for quarantine items carry the run that removed the file.
+const auditRecord = (item, action, result, extra = {}) => ({
+  runId: item.runId,
+  root: item.root || "default",
+  action,
+  path: quarantineRelative(item),
+  size: item.size,
+  hash: item.hash || null,
+  result,
+  ...extra
+});
+
+// Items whose file could not be removed are dropped as well, as before;
+// the failure is in the audit log.
+const purgeExpiredQuarantine = async () => {
+  const { purge } = selectExpired(loadStore().quarantine, {
+    retentionDays: QUARANTINE_RETENTION_DAYS,
+    maxBytes: QUARANTINE_MAX_MB * MB
+  });
+  if (!purge.length) return;
+  const records = [];
+  for (const item of purge) {
+    const purged = await purgeItem(item);
+    records.push(
+      auditRecord(item, "purge", purged ? "ok" : "failed", { actor: "system:retention" })
+    );
+  }
+  const purgedIds = new Set(purge.map((item) => item.id));
+  updateStore((store) => {
+    store.quarantine = store.quarantine.filter((item) => !purgedIds.has(item.id));
+  });
+  auditLog.append(records);
 };
 
-app.get("/api/health", (req, res) => {
-  res.json({ ok: true, time: new Date().toISOString(), root: STORAGE_ROOT });
+const summarizeQuarantine = (items) => ({
+  items: items.map((item) => ({
+    ...item,
+    originalPath: quarantineRelative(item)
+  })),
+  totalFiles: items.length,
+  totalMB: toMB(items.reduce((s, i) => s + i.size, 0)),
+  retentionDays: QUARANTINE_RETENTION_DAYS,
+  maxMB: QUARANTINE_MAX_MB
 });
 
-app.get("/api/overview", async (req, res) => {
+const restoreItems = async (ids, identity) => {
   const store = loadStore();
-  const scan = await scanRoot();
+  const { roots } = store;
+  const results = [];
+  const records = [];
+  for (const item of store.quarantine.filter((i) => ids.has(i.id))) {
+    const root = roots.find((candidate) => candidate.id === (item.root || "default"));
+    const result = root
+      ? await restoreItem(item, { canRestoreTo: (target) => withinRoot(target, root.path) })
+      : { id: item.id, restored: false, reason: "unknown-root" };
+    results.push({ ...result, path: quarantineRelative(item) });
+    records.push(
+      auditRecord(item, "restore", result.restored ? "ok" : "failed", {
+        error: result.restored ? null : result.reason,
+        actor: actorOf({ identity })
+      })
+    );
+  }
+  const restored = new Set(results.filter((r) => r.restored).map((r) => r.id));
+  updateStore((current) => {
+    current.quarantine = current.quarantine.filter((i) => !restored.has(i.id));
+  });
+  auditLog.append(records);
+  return results;
+};
+
+// Restores one quarantined file. Returns null for an unknown item.
+const restoreQuarantineItem = async (id, identity) => {
+  const item = loadStore().quarantine.find((candidate) => candidate.id === id);
+  if (!item) return null;
+  const results = await restoreItems(new Set([id]), identity);
+  markRunRestored(item.runId, results, identity);
+  return results;
+};
+
+// Restores every file a clean run left in quarantine. Returns null when
+// the run has none there.
+const restoreRun = async (runId, identity) => {
+  const ids = new Set(
+    loadStore()
+      .quarantine.filter((item) => item.runId === runId)
+      .map((item) => item.id)
+  );
+  if (!ids.size) return null;
+  const results = await restoreItems(ids, identity);
+  markRunRestored(runId, results, identity);
+  return results;
+};
+
+// Updates a run's history entry after some of its files were restored.
+const markRunRestored = (runId, results, identity) =>
+  updateStore((store) => {
+    const entry = store.history.find((item) => item.id === runId);
+    if (!entry) return null;
+    const remaining = store.quarantine.filter((item) => item.runId === runId).length;
+    return markRestored(entry, results, { remaining, by: describeIdentity(identity) });
+  });
+
+app.get("/api/health", requireRole("read"), (req, res) => {
+  const { roots } = loadStore();
+  res.json({ ok: true, time: new Date().toISOString(), roots });
+});
+
+app.get("/api/auth/me", requireRole("read"), (req, res) => {
+  res.json({ identity: req.identity });
+});
+
+app.get("/api/tokens", requireRole("admin"), (req, res) => {
+  res.json({ tokens: tokenStore.list() });
+});
+
+// The secret is only ever part of this response; it cannot be read back.
+app.post("/api/tokens", requireRole("admin"), (req, res) => {
+  const error = validateTokenRequest(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  const { token, record } = tokenStore.create({
+    name: req.body.name.trim(),
+    role: req.body.role
+  });
+  res.status(201).json({ token, ...record });
+});
+
+app.delete("/api/tokens/:id", requireRole("admin"), (req, res) => {
+  if (req.params.id === req.identity.id) {
+    res.status(409).json({ error: "A token cannot revoke itself." });
+    return;
+  }
+  const record = tokenStore.revoke(req.params.id);
+  if (!record) {
+    res.status(404).json({ error: `Unknown token: ${req.params.id}` });
+    return;
+  }
+  res.json(record);
+});
+
+app.get("/api/roots", requireRole("read"), (req, res) => {
+  res.json({ roots: loadStore().roots });
+});
+
+app.post("/api/roots", requireRole("admin"), (req, res) => {
+  const store = loadStore();
+  const { root, error, status } = prepareRoot(req.body, store.roots);
+  if (error) {
+    res.status(status).json({ error });
+    return;
+  }
+  store.roots.push(root);
+  saveStore(store);
+  if (WATCH_ENABLED) watchRoot(contextFor(root));
+  res.status(201).json({ root, roots: store.roots });
+});
+
+app.put("/api/roots/:id", requireRole("admin"), (req, res) => {
+  const store = loadStore();
+  const root = store.roots.find((item) => item.id === req.params.id);
+  if (!root) {
+    res.status(404).json({ error: `Unknown root: ${req.params.id}` });
+    return;
+  }
+  const { name, capacityMB } = req.body || {};
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    res.status(400).json({ error: "name must be a non-empty string" });
+    return;
+  }
+  const error = validateCapacity(capacityMB);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  if (name !== undefined) root.name = name.trim();
+  if (capacityMB !== undefined) root.capacityMB = capacityMB;
+  saveStore(store);
+  if (contexts.has(root.id)) Object.assign(contexts.get(root.id).root, root);
+  res.json({ root, roots: store.roots });
+});
+
+app.delete("/api/roots/:id", requireRole("admin"), (req, res) => {
+  const store = loadStore();
+  if (!store.roots.some((root) => root.id === req.params.id)) {
+    res.status(404).json({ error: `Unknown root: ${req.params.id}` });
+    return;
+  }
+  store.roots = store.roots.filter((root) => root.id !== req.params.id);
+  store.schedules = store.schedules.filter((schedule) => schedule.root !== req.params.id);
+  store.thresholds = store.thresholds.filter((threshold) => threshold.root !== req.params.id);
+  saveStore(store);
+  dropContext(req.params.id);
+  res.json({ roots: store.roots });
+});
+
+// Live updates: a watcher per root marks the directories that changed,
+// and an incremental rescan (re-reading only those directories) produces
+// the new totals. Subscribers of /api/overview/events receive only the
+// categories whose size moved.
+const broadcast = (ctx, message) => {
+  for (const send of ctx.listeners) send(message);
+};
+
+const overviewDelta = (previous, next) => {
+  const before = new Map((previous?.categories || []).map((c) => [c.id, c.sizeMB]));
+  const categories = next.categories
+    .filter((category) => before.get(category.id) !== category.sizeMB)
+    .map((category) => ({
+      id: category.id,
+      sizeMB: category.sizeMB,
+      deltaMB: category.sizeMB - (before.get(category.id) || 0)
+    }));
+  const totalsChanged =
+    !previous ||
+    previous.totalUsedMB !== next.totalUsedMB ||
+    previous.totalReclaimableMB !== next.totalReclaimableMB;
+  if (!categories.length && !totalsChanged) return null;
+  return {
+    root: next.root,
+    lastScan: next.lastScan,
+    totalUsedMB: next.totalUsedMB,
+    totalReclaimableMB: next.totalReclaimableMB,
+    protectedMB: next.protectedMB,
+    compressedMB: next.compressedMB,
+    categories
+  };
+};
+
+// Updates for one root never overlap: changes arriving mid-update are
+// collected and applied in one more pass. A running scan job owns the index,
+// so the update waits for the next change or poll instead.
+const liveUpdate = async (ctx, changedPaths) => {
+  if (changedPaths === null) ctx.pendingFull = true;
+  else for (const changed of changedPaths) ctx.pendingPaths.add(changed);
+  if (ctx.updating) return;
+  if (ctx.scanJobs.list().some((job) => job.status === "running")) return;
+  ctx.updating = true;
+  try {
+    while (ctx.pendingFull || ctx.pendingPaths.size) {
+      const paths = Array.from(ctx.pendingPaths);
+      ctx.pendingPaths.clear();
+      ctx.pendingFull = false;
+      ctx.scanIndex.invalidate(paths);
+      const scan = await scanRoot(ctx);
+      ctx.scanJobs.replaceLatest(scan);
+      const delta = overviewDelta(ctx.liveSummary, scan);
+      ctx.liveSummary = summarizeScan(scan);
+      if (delta) broadcast(ctx, { event: "delta", data: delta });
+    }
+  } catch (err) {
+    console.warn(`Live update of root "${ctx.root.id}" failed: ${err.message}`);
+  } finally {
+    ctx.updating = false;
+  }
+};
+
+// Events under ignored directories (including the quarantine and archive)
+// cannot change any total, so they never trigger an update.
+const ignoredPath = (rootPath) => (absPath) =>
+  path
+    .relative(rootPath, absPath)
+    .split(path.sep)
+    .some((part, i, parts) => skipDir(part, path.join(rootPath, ...parts.slice(0, i + 1))));
+
+const watchRoot = (ctx) => {
+  if (ctx.watcher) return;
+  ctx.listeners = ctx.listeners || new Set();
+  ctx.pendingPaths = new Set();
+  ctx.pendingFull = false;
+  ctx.watcher = createRootWatcher({
+    rootPath: ctx.root.path,
+    ignore: ignoredPath(ctx.root.path),
+    debounceMs: WATCH_DEBOUNCE_MS,
+    pollMs: WATCH_POLL_SECONDS * 1000,
+    onChange: (paths) => liveUpdate(ctx, paths),
+    onStatus: (status) => broadcast(ctx, { event: "watch", data: status })
+  });
+  ctx.watcher.start();
+};
+
+// Server-Sent Events: one `snapshot` with the current totals and watch
+// status, then `delta` events as files change and `watch` events when the
+// watcher falls back to periodic rescans.
+app.get("/api/overview/events", requireEventReader, asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  ctx.listeners = ctx.listeners || new Set();
+  if (!ctx.liveSummary) ctx.liveSummary = summarizeScan(await scanRoot(ctx));
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  const send = ({ event, data }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === "removed") res.end();
+  };
+  send({
+    event: "snapshot",
+    data: {
+      ...ctx.liveSummary,
+      watch: ctx.watcher ? ctx.watcher.status() : { mode: "disabled", reason: null }
+    }
+  });
+  // Comment lines keep idle proxies from closing the stream.
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25 * 1000);
+  ctx.listeners.add(send);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    ctx.listeners.delete(send);
+  });
+}));
+
+app.get("/api/overview", requireRole("read"), asyncRoute(async (req, res) => {
+  const store = loadStore();
+  const options = { full: req.query.refresh === "full" };
+
+  if (req.query.root === "all") {
+    const scans = [];
+    for (const root of store.roots) {
+      const scan = await scanFor(contextFor(root), req.query.scan, options);
+      if (scan) scans.push(scan);
+    }
+    res.json({ ...aggregateScans(scans), history: store.history });
+    return;
+  }
+
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const scan = await scanFor(ctx, req.query.scan, options);
+  if (!scan) {
+    res.status(404).json({ error: `No completed scan: ${req.query.scan}` });
+    return;
+  }
   res.json({
     ...scan,
-    history: store.history
+    history: historyFor(store.history, ctx.root.id)
+  });
+}));
+
+// Without a configured capacity, a root can grow until its volume is full:
+// what it uses now plus the space still free on the filesystem.
+const capacityFor = async (root, usedMB) => {
+  if (root.capacityMB) return { capacityMB: root.capacityMB, source: "configured" };
+  try {
+    const stats = await fs.promises.statfs(root.path);
+    return { capacityMB: usedMB + toMB(stats.bavail * stats.bsize), source: "filesystem" };
+  } catch {
+    return { capacityMB: null, source: null };
+  }
+};
+
+app.get("/api/trends", requireRole("read"), asyncRoute(async (req, res) => {
+  const { roots } = loadStore();
+  const { from, to, window, error } = parseTrendWindow(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  let selected = roots;
+  if (req.query.root && req.query.root !== "all") {
+    selected = roots.filter((root) => root.id === req.query.root);
+    if (!selected.length) {
+      res.status(404).json({ error: `Unknown root: ${req.query.root}` });
+      return;
+    }
+  }
+  const series = [];
+  for (const root of selected) {
+    const snapshots = trendStore.between(root.id, from, to);
+    const latest = snapshots[snapshots.length - 1];
+    const mbPerDay = growthPerDay(snapshots);
+    const { capacityMB, source } = latest
+      ? await capacityFor(root, latest.totalUsedMB)
+      : { capacityMB: root.capacityMB || null, source: root.capacityMB ? "configured" : null };
+    const days = latest ? daysToCapacity(latest.totalUsedMB, capacityMB, mbPerDay) : null;
+    series.push({
+      root: root.id,
+      ...toSeries(snapshots),
+      growthMBPerDay: mbPerDay === null ? null : Math.round(mbPerDay * 100) / 100,
+      capacityMB,
+      capacitySource: source,
+      daysToCapacity: days === null ? null : Math.round(days * 10) / 10
+    });
+  }
+  res.json({
+    window,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    roots: series
   });
+}));
+
+app.get("/api/history", requireRole("read"), (req, res) => {
+  const store = loadStore();
+  const rootId = req.query.root && req.query.root !== "all" ? req.query.root : null;
+  res.json({ history: historyFor(store.history, rootId) });
 });
 
-app.get("/api/history", (req, res) => {
+const NOT_UNDOABLE = { compress: "compressed", archive: "archived" };
+
+app.post("/api/history/:id/undo", requireRole("operator"), asyncRoute(async (req, res) => {
   const store = loadStore();
-  res.json({ history: store.history });
+  const entry = store.history.find((item) => item.id === req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: `Unknown clean run: ${req.params.id}` });
+    return;
+  }
+  if (entry.simulated) {
+    res.status(409).json({ error: "Simulated runs did not remove any files." });
+    return;
+  }
+  if (entry.reverted) {
+    res.status(409).json({ error: "This clean run was already reverted." });
+    return;
+  }
+  if (!Array.isArray(entry.files)) {
+    res.status(409).json({ error: "This clean run did not record its files." });
+    return;
+  }
+
+  const inQuarantine = new Set(store.quarantine.map((item) => item.id));
+  // Compressed and archived files were never quarantined; undo leaves them.
+  const missing = entry.files
+    .filter((file) => !file.restored && !inQuarantine.has(file.quarantineId))
+    .map((file) => ({
+      path: file.path,
+      restored: false,
+      reason: file.quarantineId ? "purged" : NOT_UNDOABLE[file.action] || "not quarantined"
+    }));
+  const results = await restoreItems(
+    new Set(entry.files.map((file) => file.quarantineId).filter((id) => inQuarantine.has(id))),
+    req.identity
+  );
+  const updated = markRunRestored(entry.id, results, req.identity);
+  const restored = results.filter((r) => r.restored).map((r) => r.path);
+
+  // A run that is not fully reverted can be undone again, e.g. once a
+  // conflicting file was moved out of the way.
+  let status = "reverted";
+  if (!updated.reverted) status = restored.length ? "partial" : "failed";
+  res.json({
+    id: entry.id,
+    status,
+    reverted: updated.reverted,
+    restored,
+    conflicts: results.filter((r) => r.reason === "conflict").map((r) => r.path),
+    failed: [...results.filter((r) => !r.restored && r.reason !== "conflict"), ...missing],
+    history: loadStore().history
+  });
+}));
+
+app.get("/api/settings", requireRole("read"), (req, res) => {
+  res.json(loadStore().settings);
 });
 
-app.post("/api/clean", async (req, res) => {
-  const { categories } = req.body || {};
-  const targetIds = Array.isArray(categories) ? new Set(categories) : new Set();
+app.put("/api/settings", requireRole("operator"), (req, res) => {
+  const { ageRules, similarPhotos } = req.body || {};
+  const store = loadStore();
+  const error =
+    (ageRules !== undefined && validateAgeRules(ageRules)) ||
+    (similarPhotos !== undefined && validateSimilarSettings(similarPhotos));
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  if (ageRules !== undefined) {
+    store.settings.ageRules = mergeAgeRules(store.settings.ageRules, ageRules);
+  }
+  if (similarPhotos !== undefined) {
+    store.settings.similarPhotos = normalizeSimilarSettings({
+      ...store.settings.similarPhotos,
+      ...similarPhotos
+    });
+  }
+  saveStore(store);
+  res.json(store.settings);
+});
 
-  const scan = await scanRoot();
-  const filesToClean = [];
+app.get("/api/protection", requireRole("read"), (req, res) => {
+  res.json(loadStore().protection);
+});
 
-  for (const id of targetIds) {
-    const list = scan.categoryFiles[id] || [];
-    filesToClean.push(...list);
+app.put("/api/protection", requireRole("operator"), (req, res) => {
+  const error = validateProtection(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
   }
+  const { mode, protectedGlobs, allowedGlobs } = req.body;
+  const store = loadStore();
+  store.protection = normalizeProtection({
+    ...store.protection,
+    ...(mode !== undefined && { mode }),
+    ...(protectedGlobs !== undefined && { protectedGlobs }),
+    ...(allowedGlobs !== undefined && { allowedGlobs })
+  });
+  saveStore(store);
+  res.json(store.protection);
+});
+
+app.post("/api/protection/pins", requireRole("operator"), (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  if (typeof req.body?.path !== "string" || !req.body.path.trim()) {
+    res.status(400).json({ error: "path is required" });
+    return;
+  }
+  const pin = { root: ctx.root.id, path: normalizePin(req.body.path) };
+  if (!pin.path || pin.path === "." || pin.path === ".." || pin.path.startsWith("../")) {
+    res.status(400).json({ error: "path must name a file inside the root" });
+    return;
+  }
+  const store = loadStore();
+  if (!store.protection.pins.some((p) => p.root === pin.root && p.path === pin.path)) {
+    store.protection.pins.push({ ...pin, pinnedAt: new Date().toISOString() });
+    saveStore(store);
+  }
+  res.status(201).json(store.protection);
+});
 
+app.delete("/api/protection/pins", requireRole("operator"), (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const target = normalizePin(req.query.path || req.body?.path || "");
+  const store = loadStore();
+  const before = store.protection.pins.length;
+  store.protection.pins = store.protection.pins.filter(
+    (p) => !(p.root === ctx.root.id && p.path === target)
+  );
+  if (store.protection.pins.length === before) {
+    res.status(404).json({ error: `No pin for ${target}` });
+    return;
+  }
+  saveStore(store);
+  res.json(store.protection);
+});
+
+const rulesResponse = () => {
+  const { rules, source } = loadRules(RULES_PATH);
+  return { rules, source, categories: categoriesFromRules(rules) };
+};
+
+app.get("/api/rules", requireRole("read"), (req, res) => {
+  res.json(rulesResponse());
+});
+
+app.put("/api/rules", requireRole("operator"), (req, res) => {
+  const rules = req.body?.rules;
+  const error = validateRules(rules);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  saveRules(RULES_PATH, rules);
+  res.json(rulesResponse());
+});
+
+app.post("/api/rules", requireRole("operator"), (req, res) => {
+  const { position, ...rule } = req.body || {};
+  const error = validateRule(rule);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  const { rules } = loadRules(RULES_PATH);
+  if (rules.some((item) => item.id === rule.id)) {
+    res.status(409).json({ error: `Rule already exists: ${rule.id}` });
+    return;
+  }
+  const next = [...rules];
+  const index = Number.isInteger(position) ? Math.max(0, Math.min(position, next.length)) : next.length;
+  next.splice(index, 0, rule);
+  saveRules(RULES_PATH, next);
+  res.status(201).json(rulesResponse());
+});
+
+app.put("/api/rules/:id", requireRole("operator"), (req, res) => {
+  const { rules } = loadRules(RULES_PATH);
+  const index = rules.findIndex((item) => item.id === req.params.id);
+  if (index === -1) {
+    res.status(404).json({ error: `Unknown rule: ${req.params.id}` });
+    return;
+  }
+  const rule = { ...req.body, id: req.params.id };
+  const error = validateRule(rule);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  const next = [...rules];
+  next[index] = rule;
+  saveRules(RULES_PATH, next);
+  res.json(rulesResponse());
+});
+
+app.delete("/api/rules/:id", requireRole("operator"), (req, res) => {
+  const { rules } = loadRules(RULES_PATH);
+  if (!rules.some((item) => item.id === req.params.id)) {
+    res.status(404).json({ error: `Unknown rule: ${req.params.id}` });
+    return;
+  }
+  saveRules(
+    RULES_PATH,
+    rules.filter((item) => item.id !== req.params.id)
+  );
+  res.json(rulesResponse());
+});
+
+// Dry-runs the rule list against a single path so precedence can be checked
+// without touching the filesystem. `contentType` stands in for what sniffing
+// the file would have found.
+app.post("/api/rules/test", requireRole("read"), (req, res) => {
+  const { path: relativePath, size = 0, modified, accessed, contentType = null } = req.body || {};
+  if (typeof relativePath !== "string" || !relativePath) {
+    res.status(400).json({ error: "path is required" });
+    return;
+  }
+  const mtimeMs = modified ? Date.parse(modified) : Date.now();
+  const file = {
+    relativePath,
+    name: path.basename(relativePath),
+    size: Number(size) || 0,
+    mtimeMs,
+    atimeMs: accessed ? Date.parse(accessed) : mtimeMs,
+    contentType: typeof contentType === "string" ? contentType : null
+  };
+  const rule = compileRules(loadRules(RULES_PATH).rules)(file);
+  res.json({ path: relativePath, rule: rule ? rule.id : null, category: rule ? rule.category : null });
+});
+
+app.get("/api/categories/:id/files", requireRole("read"), asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const scan = await scanRoot(ctx);
+  const list = categoryList(scan, req.params.id);
+  if (!list) {
+    res.status(404).json({ error: `Unknown category: ${req.params.id}` });
+    return;
+  }
+  const page = listFiles(list, req.query);
+  res.json({
+    category: req.params.id,
+    ...page,
+    totalMB: toMB(page.totalBytes),
+    files: page.files.map(describeFile)
+  });
+}));
+
+// Brings the root's index up to date with the same incremental walk scans
+// use, without classifying anything. Ignored directories, the quarantine and
+// symlinks never enter the index, so nothing outside the root is counted.
+const indexedFiles = async (ctx) => (await ctx.scanIndex.refresh({ skipDir })).files;
+
+app.get("/api/tree", requireRole("read"), asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const base = resolveTreePath(req.query.path);
+  if (base === null) {
+    res.status(400).json({ error: "path must stay inside the root" });
+    return;
+  }
+  const result = buildTree(await indexedFiles(ctx), { base, depth: req.query.depth });
+  if (!result) {
+    res.status(404).json({ error: `No indexed files under: ${req.query.path}` });
+    return;
+  }
+  res.json({ root: ctx.root.id, ...result });
+}));
+
+app.get("/api/tree/largest", requireRole("read"), asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  res.json({ root: ctx.root.id, ...largestEntries(await indexedFiles(ctx), req.query) });
+}));
+
+const AUDIT_ACTIONS = { delete: "quarantine", compress: "compress", archive: "archive" };
+
+// Applies a resolved file list to a root and records the run. A simulated
+// run touches nothing and reports what would have been freed; a real run
+// applies each category's action (see lib/actions.js), quarantining by
+// default. `cleanedMB` only counts space that was actually freed: what
+// gzip saved, and archived files only when the archive is on another device.
+const runClean = async (
+  ctx,
+  {
+    files: filesToClean,
+    categories,
+    skipped,
+    simulated,
+    scan,
+    identity,
+    schedule,
+    threshold,
+    actions
+  }
+) => {
+  const { root, scanIndex, scanJobs } = ctx;
+  // Roots cleaned by schedules that fire together share a millisecond; the
+  // suffix keeps their runs, and the quarantine ids built from them, apart.
+  const runId = `clean_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`;
+  const archiveDir = path.join(ARCHIVE_DIR, root.id);
+  const quarantined = [];
+  const removed = [];
+  const gone = [];
+  const compressed = [];
+  const archived = [];
+  const touched = [];
+  const failed = [];
+  const records = [];
+  const actor = actorOf({ identity, schedule, threshold });
+  const summary = Object.fromEntries(
+    Object.keys(AUDIT_ACTIONS).map((action) => [action, { files: 0, savedBytes: 0 }])
+  );
   let cleanedBytes = 0;
   let cleanedFiles = 0;
-  let simulated = false;
 
-  if (ALLOW_DELETE) {
+  const touch = (file, action, extra) =>
+    touched.push({
+      path: file.relativePath,
+      size: file.size,
+      category: file.category,
+      action,
+      ...extra
+    });
+
+  const record = (file, action, result, error = null) =>
+    records.push({
+      runId,
+      root: root.id,
+      action: AUDIT_ACTIONS[action],
+      path: file.relativePath,
+      size: file.size,
+      hash: hashCache.peek(file),
+      result,
+      error,
+      actor
+    });
+
+  const fail = (file, action, err) => {
+    failed.push({ path: file.relativePath, reason: err.code || err.message });
+    record(file, action, "failed", err.code || err.message);
+  };
+
+  const skip = (file, action, reason) => {
+    skipped.push({ path: file.relativePath, reason });
+    record(file, action, "skipped", reason);
+  };
+
+  if (!simulated) {
+    // The files were chosen when the plan was made; a pin or protected glob
+    // added since then still keeps a file.
+    const protectionFor = compileProtection(loadStore().protection, root.id);
     for (const file of filesToClean) {
-      if (!withinRoot(file.path)) continue;
+      const action = actionFor(file, actions);
+      const protectedBy = file.protected || protectionFor(file);
+      if (protectedBy) {
+        skip(file, action, protectedBy);
+        continue;
+      }
+      if (!(await withinRoot(file.path, root.path))) {
+        skip(file, action, "outside root");
+        continue;
+      }
+      let stat;
       try {
-        await fs.promises.unlink(file.path);
-        cleanedBytes += file.size;
-        cleanedFiles += 1;
-      } catch {
+        stat = await fs.promises.lstat(file.path);
+      } catch (err) {
+        fail(file, action, err);
+        continue;
+      }
+      if (!stat.isFile()) {
+        skip(file, action, "not a regular file");
         continue;
       }
+      const linked = { ...file, dev: stat.dev, ino: stat.ino, nlink: stat.nlink };
+      try {
+        if (action === "delete") {
+          const item = await quarantineFile(file, {
+            dir: path.join(QUARANTINE_DIR, root.id),
+            runId,
+            index: quarantined.length
+          });
+          quarantined.push({
+            ...item,
+            root: root.id,
+            relativePath: file.relativePath,
+            hash: hashCache.peek(file)
+          });
+          removed.push(linked);
+          touch(file, action, { quarantineId: item.id });
+        } else if (action === "compress") {
+          // Other links would keep the original data alive next to the copy.
+          if (stat.nlink > 1) {
+            skip(file, action, "hard-linked");
+            continue;
+          }
+          const result = await compressFile(file);
+          if (!result.ok) {
+            skip(file, action, result.reason);
+            continue;
+          }
+          const outputPath = path.relative(root.path, result.outputPath);
+          compressed.push({ root: root.id, path: outputPath, size: result.size, runId });
+          summary.compress.savedBytes += file.size - result.size;
+          touch(file, action, { outputPath, outputSize: result.size });
+        } else {
+          const result = await archiveFile(file, { dir: archiveDir, runId, moveFile });
+          if (!result.ok) {
+            skip(file, action, result.reason);
+            continue;
+          }
+          archived.push(linked);
+          touch(file, action, { archivedPath: result.archivedPath });
+        }
+        gone.push(file.path);
+        summary[action].files += 1;
+        cleanedFiles += 1;
+        record(file, action, "ok");
+      } catch (err) {
+        fail(file, action, err);
+      }
+    }
+    summary.delete.savedBytes = reclaimableBytes(removed);
+    if (archived.length && (await archiveFreesSpace(archiveDir, archived[0]))) {
+      summary.archive.savedBytes = reclaimableBytes(archived);
     }
+    cleanedBytes = Object.values(summary).reduce((sum, item) => sum + item.savedBytes, 0);
   } else {
-    simulated = true;
-    cleanedBytes = filesToClean.reduce((s, f) => s + f.size, 0);
+    for (const file of filesToClean) {
+      const action = actionFor(file, actions);
+      summary[action].files += 1;
+      touch(file, action);
+      record(file, action, "simulated");
+    }
+    // Only deletion has a known outcome before the files are touched.
+    const deleting = filesToClean.filter((file) => actionFor(file, actions) === "delete");
+    summary.delete.savedBytes = reclaimableBytes(deleting);
+    summary.compress.savedBytes = null;
+    summary.archive.savedBytes = null;
+    cleanedBytes = summary.delete.savedBytes;
     cleanedFiles = filesToClean.length;
   }
+  auditLog.append(records);
 
-  const updatedScan = await scanRoot();
+  const actionSummary = Object.fromEntries(
+    Object.entries(summary)
+      .filter(([, item]) => item.files)
+      .map(([action, item]) => [
+        action,
+        { files: item.files, savedMB: item.savedBytes === null ? null : toMB(item.savedBytes) }
+      ])
+  );
+
+  if (gone.length) await scanIndex.removeFiles(gone);
+  // The gzip outputs appeared in directories whose listing was just
+  // refreshed; make the next scan pick them up.
+  if (compressed.length) {
+    scanIndex.invalidate(compressed.map((item) => path.join(root.path, item.path)));
+  }
+  const updatedScan =
+    simulated && scan
+      ? scan
+      : { root: root.id, ...(await analyzeFiles(scanIndex.files(), root.id)) };
+  if (!simulated) {
+    scanJobs.replaceLatest(updatedScan);
+    onScanCompleted(updatedScan);
+  }
   const store = loadStore();
+  store.quarantine.push(...quarantined);
+  store.compressed.push(...compressed);
   store.history.unshift({
-    id: `clean_${Date.now()}`,
+    id: runId,
+    root: root.id,
     time: new Date().toISOString(),
     cleanedMB: toMB(cleanedBytes),
     cleanedFiles,
-    categories: Array.from(targetIds),
-    simulated
+    categories,
+    simulated,
+    by: describeIdentity(identity),
+    scheduled: Boolean(schedule),
+    scheduleId: schedule ? schedule.id : null,
+    thresholdId: threshold ? threshold.id : null,
+    actions: actionSummary,
+    files: touched
   });
-  store.history = store.history.slice(0, 10);
+  store.history = trimHistory(store.history);
   saveStore(store);
+  await purgeExpiredQuarantine();
 
-  res.json({
+  return {
     ...updatedScan,
+    runId,
     cleanedMB: toMB(cleanedBytes),
     cleanedFiles,
+    actions: actionSummary,
     simulated,
-    history: store.history
+    skipped,
+    failed,
+    history: historyFor(store.history, root.id)
+  };
+};
+
+// Real cleans of a root take turns: each one sees the files the previous
+// one left. Without `wait` a busy root is reported at once; with it the
+// caller queues for up to CLEAN_LOCK_WAIT_SECONDS. Resolves to a release
+// function, or null when the lock was not obtained. The lock only lives in
+// this process, so a `cli.js clean` run next to the server is not ordered
+// with the server's cleans.
+const lockRoot = (rootId, holder, { wait }) =>
+  wait
+    ? cleanLocks.acquire(rootId, holder, { timeoutMs: CLEAN_LOCK_WAIT_SECONDS * 1000 })
+    : Promise.resolve(cleanLocks.tryAcquire(rootId, holder));
+
+// One-step clean. It only ever simulates; removing files takes a plan
+// token from /api/clean/plan passed to /api/clean/execute.
+app.post("/api/clean", requireRole("operator"), asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const scan = await scanFor(ctx, req.body?.scanId);
+  if (!scan) {
+    res.status(404).json({ error: `No completed scan: ${req.body.scanId}` });
+    return;
+  }
+  const actionsError = validateActions(req.body?.actions);
+  if (actionsError) {
+    res.status(400).json({ error: actionsError });
+    return;
+  }
+  const targets = resolveCleanTargets(scan, req.body || {});
+  res.json(
+    await runClean(ctx, {
+      ...targets,
+      simulated: true,
+      scan,
+      identity: req.identity,
+      actions: req.body?.actions
+    })
+  );
+}));
+
+app.post("/api/clean/plan", requireRole("operator"), asyncRoute(async (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const scan = await scanFor(ctx, req.body?.scanId);
+  if (!scan) {
+    res.status(404).json({ error: `No completed scan: ${req.body.scanId}` });
+    return;
+  }
+  const actionsError = validateActions(req.body?.actions);
+  if (actionsError) {
+    res.status(400).json({ error: actionsError });
+    return;
+  }
+  const targets = resolveCleanTargets(scan, req.body || {});
+  const { fresh, missing } = await snapshotFiles(targets.files);
+  const plan = cleanPlans.create({
+    root: ctx.root.id,
+    files: fresh,
+    categories: targets.categories,
+    actions: req.body?.actions || {},
+    skipped: [...targets.skipped, ...missing]
+  });
+  const totalBytes = reclaimableBytes(fresh);
+  res.status(201).json({
+    token: plan.token,
+    root: plan.root,
+    createdAt: plan.createdAt,
+    expiresAt: plan.expiresAt,
+    categories: plan.categories,
+    actions: plan.actions,
+    totalFiles: fresh.length,
+    totalBytes,
+    totalMB: toMB(totalBytes),
+    files: fresh.map(describeFile),
+    skipped: plan.skipped
+  });
+}));
+
+// Runs a plan exactly as it was made. The whole run is refused if any
+// planned file disappeared or changed size or mtime in the meantime.
+app.post("/api/clean/execute", requireRole("operator"), asyncRoute(async (req, res) => {
+  const { token, dryRun = true, wait = false } = req.body || {};
+  if (typeof token !== "string" || !token) {
+    res.status(400).json({ error: "token is required" });
+    return;
+  }
+  if (typeof dryRun !== "boolean") {
+    res.status(400).json({ error: "dryRun must be a boolean" });
+    return;
+  }
+  if (typeof wait !== "boolean") {
+    res.status(400).json({ error: "wait must be a boolean" });
+    return;
+  }
+  const planMissing = (expired) =>
+    res
+      .status(expired ? 410 : 404)
+      .json({ error: expired ? "Clean plan expired" : "Unknown clean plan" });
+  const peeked = cleanPlans.peek(token);
+  if (!peeked.plan) {
+    cleanPlans.take(token);
+    planMissing(peeked.expired);
+    return;
+  }
+  const root = loadStore().roots.find((item) => item.id === peeked.plan.root);
+  if (!root) {
+    res.status(404).json({ error: `Unknown root: ${peeked.plan.root}` });
+    return;
+  }
+  // Dry runs touch nothing, so only real runs wait for the root's lock. A
+  // plan refused because the root is busy stays usable; otherwise it is
+  // used up and checked against whatever an earlier clean left behind.
+  const holder = { by: describeIdentity(req.identity) };
+  const release = dryRun ? () => {} : await lockRoot(root.id, holder, { wait });
+  if (!release) {
+    res.status(409).json({
+      error: wait
+        ? `Another clean of ${root.id} is still running; gave up after ${CLEAN_LOCK_WAIT_SECONDS}s`
+        : `Another clean of ${root.id} is running`,
+      lock: cleanLocks.status(root.id)
+    });
+    return;
+  }
+  try {
+    const { plan, expired } = cleanPlans.take(token);
+    if (!plan) {
+      planMissing(expired);
+      return;
+    }
+    const changed = await findChangedFiles(plan.files);
+    if (changed.length) {
+      res.status(409).json({ error: "Files changed since the plan was made", changed });
+      return;
+    }
+    res.json(
+      await runClean(contextFor(root), {
+        files: plan.files,
+        categories: plan.categories,
+        actions: plan.actions,
+        skipped: [...plan.skipped],
+        simulated: dryRun,
+        identity: req.identity
+      })
+    );
+  } finally {
+    release();
+  }
+}));
+
+// Scan job ids are unique across roots, so job routes find the owning
+// root themselves instead of taking a `root` parameter.
+const jobsFor = (id) => {
+  const { roots } = loadStore();
+  for (const root of roots) {
+    const { scanJobs } = contextFor(root);
+    if (scanJobs.has(id)) return scanJobs;
+  }
+  return null;
+};
+
+app.post("/api/scans", requireRole("read"), (req, res) => {
+  const ctx = resolveRoot(req, res);
+  if (!ctx) return;
+  const { job, created } = ctx.scanJobs.start({ full: req.body?.full === true });
+  res.status(created ? 202 : 200).json({ ...job, root: ctx.root.id });
+});
+
+app.get("/api/scans", requireRole("read"), (req, res) => {
+  const { roots } = loadStore();
+  const scans = roots
+    .filter((root) => !req.query.root || root.id === req.query.root)
+    .flatMap((root) =>
+      contextFor(root)
+        .scanJobs.list()
+        .map((job) => ({ ...job, root: root.id }))
+    );
+  res.json({ scans });
+});
+
+app.get("/api/scans/:id", requireRole("read"), (req, res) => {
+  const scanJobs = jobsFor(req.params.id);
+  if (!scanJobs) {
+    res.status(404).json({ error: `Unknown scan: ${req.params.id}` });
+    return;
+  }
+  const completed = scanJobs.result(req.params.id);
+  res.json({
+    ...scanJobs.get(req.params.id),
+    result: completed ? summarizeScan(completed.result) : null
+  });
+});
+
+// Server-Sent Events: `progress` while the scan runs, then one `status`
+// event with the final state before the stream closes.
+app.get("/api/scans/:id/events", requireEventReader, (req, res) => {
+  const scanJobs = jobsFor(req.params.id);
+  const job = scanJobs && scanJobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `Unknown scan: ${req.params.id}` });
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  const send = ({ event, data }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === "status") res.end();
+  };
+  const unsubscribe = scanJobs.subscribe(req.params.id, send);
+  if (!unsubscribe) {
+    send({ event: "status", data: job });
+    return;
+  }
+  send({ event: "progress", data: job });
+  req.on("close", unsubscribe);
+});
+
+app.delete("/api/scans/:id", requireRole("operator"), (req, res) => {
+  const scanJobs = jobsFor(req.params.id);
+  const job = scanJobs && scanJobs.cancel(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `Unknown scan: ${req.params.id}` });
+    return;
+  }
+  res.json(job);
+});
+
+// Cleans the named categories out of `scan` without a client in the loop,
+// exactly like a plan made and executed at once. `source` names what
+// started the run (`{ schedule }`, `{ threshold }` or the CLI's
+// `{ identity }`) for the history entry. Real runs always queue for the
+// root's lock; files another clean removed meanwhile end up skipped as
+// missing.
+const runAutomaticClean = async (ctx, scan, { categories, simulated, actions }, source) => {
+  const holder = source.schedule
+    ? { schedule: source.schedule.id }
+    : source.threshold
+      ? { threshold: source.threshold.id }
+      : { by: describeIdentity(source.identity) };
+  const release = simulated ? () => {} : await lockRoot(ctx.root.id, holder, { wait: true });
+  if (!release) throw new Error(`Another clean of ${ctx.root.id} is still running`);
+  try {
+    const targets = resolveCleanTargets(scan, { categories });
+    const { fresh, missing } = await snapshotFiles(targets.files);
+    return await runClean(ctx, {
+      files: fresh,
+      categories: targets.categories,
+      skipped: [...targets.skipped, ...missing],
+      simulated,
+      actions,
+      scan,
+      ...source
+    });
+  } finally {
+    release();
+  }
+};
+
+// Scheduled runs take a fresh scan of their root first.
+const runScheduledClean = async (schedule) => {
+  const root = loadStore().roots.find((item) => item.id === schedule.root);
+  if (!root) throw new Error(`Unknown root: ${schedule.root}`);
+  const ctx = contextFor(root);
+  const scan = await scanFor(ctx);
+  return runAutomaticClean(ctx, scan, schedule, { schedule });
+};
+
+const patchSchedule = (id, patch) => {
+  const store = loadStore();
+  const schedule = store.schedules.find((item) => item.id === id);
+  if (!schedule) return null;
+  Object.assign(schedule, patch);
+  saveStore(store);
+  return schedule;
+};
+
+const scheduler = createScheduler({
+  load: () => loadStore().schedules,
+  update: patchSchedule,
+  run: runScheduledClean
+});
+
+const describeSchedule = (schedule) => ({
+  ...schedule,
+  running: scheduler.isRunning(schedule.id)
+});
+
+const findSchedule = (req, res) => {
+  const schedule = loadStore().schedules.find((item) => item.id === req.params.id);
+  if (!schedule) res.status(404).json({ error: `Unknown schedule: ${req.params.id}` });
+  return schedule || null;
+};
+
+app.get("/api/schedules", requireRole("read"), (req, res) => {
+  res.json({ schedules: loadStore().schedules.map(describeSchedule) });
+});
+
+app.post("/api/schedules", requireRole("operator"), (req, res) => {
+  const store = loadStore();
+  const error = validateSchedule(req.body, { roots: store.roots });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  const schedule = createSchedule(req.body);
+  store.schedules.push(schedule);
+  saveStore(store);
+  res.status(201).json(describeSchedule(schedule));
+});
+
+app.put("/api/schedules/:id", requireRole("operator"), (req, res) => {
+  const store = loadStore();
+  const index = store.schedules.findIndex((item) => item.id === req.params.id);
+  if (index === -1) {
+    res.status(404).json({ error: `Unknown schedule: ${req.params.id}` });
+    return;
+  }
+  const error = validateSchedule(req.body, { roots: store.roots, partial: true });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  store.schedules[index] = updateSchedule(store.schedules[index], req.body);
+  saveStore(store);
+  res.json(describeSchedule(store.schedules[index]));
+});
+
+app.delete("/api/schedules/:id", requireRole("operator"), (req, res) => {
+  if (!findSchedule(req, res)) return;
+  const store = loadStore();
+  store.schedules = store.schedules.filter((item) => item.id !== req.params.id);
+  saveStore(store);
+  res.json({ schedules: store.schedules.map(describeSchedule) });
+});
+
+app.post("/api/schedules/:id/pause", requireRole("operator"), (req, res) => {
+  if (!findSchedule(req, res)) return;
+  res.json(describeSchedule(patchSchedule(req.params.id, { paused: true })));
+});
+
+// Resuming starts the timetable again from now rather than catching up.
+app.post("/api/schedules/:id/resume", requireRole("operator"), (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  res.json(
+    describeSchedule(
+      patchSchedule(req.params.id, { paused: false, nextRunAt: nextRunAt(schedule) })
+    )
+  );
+});
+
+app.post("/api/schedules/:id/run", requireRole("operator"), (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  if (!scheduler.trigger(schedule)) {
+    res.status(409).json({ error: "This schedule is already running." });
+    return;
+  }
+  res.status(202).json(describeSchedule(schedule));
+});
+
+const patchThreshold = (id, patch) => {
+  const store = loadStore();
+  const threshold = store.thresholds.find((item) => item.id === id);
+  if (!threshold) return null;
+  Object.assign(threshold, typeof patch === "function" ? patch(threshold) : patch);
+  saveStore(store);
+  return threshold;
+};
+
+const notifyThreshold = (threshold, event) => {
+  const payload = {
+    event: `threshold.${event}`,
+    time: new Date().toISOString(),
+    threshold: {
+      id: threshold.id,
+      name: threshold.name,
+      root: threshold.root,
+      metric: threshold.metric,
+      thresholdMB: threshold.thresholdMB
+    },
+    valueMB: threshold.valueMB
+  };
+  return deliverWebhook(threshold.action.url, payload, {
+    onAttempt: (delivery) =>
+      patchThreshold(threshold.id, (current) => ({
+        deliveries: appendDelivery(current.deliveries || [], { ...delivery })
+      }))
   });
+};
+
+// Runs after every completed scan of a root. Webhooks hear about both
+// firing and resolving; a clean action only runs when the alert fires, using
+// the scan that crossed the mark. Actions run in the background so a slow
+// webhook never holds up a scan.
+const checkThresholds = (scan) => {
+  const thresholds = loadStore().thresholds.filter((item) => item.root === scan.root);
+  for (const threshold of thresholds) {
+    const { valueMB, state, transition } = evaluateThreshold(threshold, scan);
+    const now = new Date().toISOString();
+    const updated = patchThreshold(threshold.id, {
+      valueMB,
+      state,
+      checkedAt: now,
+      ...(transition === "firing" ? { firedAt: now } : {}),
+      ...(transition === "resolved" ? { resolvedAt: now } : {})
+    });
+    if (!transition) continue;
+    console.log(`Threshold "${threshold.name}" ${transition}: ${valueMB} MB`);
+    if (threshold.action.type === "webhook") {
+      notifyThreshold(updated, transition).catch((err) =>
+        console.warn(`Threshold webhook "${threshold.name}" failed: ${err.message}`)
+      );
+    } else if (transition === "firing") {
+      const root = loadStore().roots.find((item) => item.id === scan.root);
+      if (!root) continue;
+      runAutomaticClean(contextFor(root), scan, threshold.action, { threshold }).catch((err) =>
+        console.warn(`Threshold clean "${threshold.name}" failed: ${err.message}`)
+      );
+    }
+  }
+};
+
+// Every fresh per-root scan, including the one taken after a real clean,
+// feeds the alerts and the usage trends. Both belong to the running server:
+// the CLI imports this module without starting it, and its scans must never
+// fire webhooks or threshold cleans.
+let serving = false;
+
+const onScanCompleted = (scan) => {
+  if (!serving) return;
+  checkThresholds(scan);
+  trendStore.record(snapshotFromScan(scan));
+};
+
+app.get("/api/thresholds", requireRole("read"), (req, res) => {
+  const { thresholds } = loadStore();
+  res.json({
+    thresholds: req.query.root
+      ? thresholds.filter((item) => item.root === req.query.root)
+      : thresholds
+  });
+});
+
+app.post("/api/thresholds", requireRole("operator"), (req, res) => {
+  const store = loadStore();
+  const error = validateThreshold(req.body, { roots: store.roots });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  const threshold = createThreshold(req.body);
+  store.thresholds.push(threshold);
+  saveStore(store);
+  res.status(201).json(threshold);
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Storage cleaner API running on http://localhost:${PORT}`);
-  console.log(`Scanning root: ${STORAGE_ROOT}`);
-  console.log(`Deletion enabled: ${ALLOW_DELETE}`);
+app.put("/api/thresholds/:id", requireRole("operator"), (req, res) => {
+  const store = loadStore();
+  const index = store.thresholds.findIndex((item) => item.id === req.params.id);
+  if (index === -1) {
+    res.status(404).json({ error: `Unknown threshold: ${req.params.id}` });
+    return;
+  }
+  const error = validateThreshold(req.body, { roots: store.roots, partial: true });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  store.thresholds[index] = updateThreshold(store.thresholds[index], req.body);
+  saveStore(store);
+  res.json(store.thresholds[index]);
 });
+
+app.delete("/api/thresholds/:id", requireRole("operator"), (req, res) => {
+  const store = loadStore();
+  if (!store.thresholds.some((item) => item.id === req.params.id)) {
+    res.status(404).json({ error: `Unknown threshold: ${req.params.id}` });
+    return;
+  }
+  store.thresholds = store.thresholds.filter((item) => item.id !== req.params.id);
+  saveStore(store);
+  res.json({ thresholds: store.thresholds });
+});
+
+// Every file action ever taken, newest first. History keeps a short
+// per-run summary; this is the place to ask what happened to one file.
+app.get("/api/audit", requireRole("read"), asyncRoute(async (req, res) => {
+  const { filter, error } = parseAuditQuery(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.json(await auditLog.query(filter, req.query));
+}));
+
+app.get("/api/audit/export", requireRole("read"), asyncRoute(async (req, res) => {
+  const { filter, error } = parseAuditQuery(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="audit.csv"');
+  res.write(csvHeader());
+  await auditLog.scan(filter, (record) => res.write(csvRow(record)));
+  res.end();
+}));
+
+app.get("/api/quarantine", requireRole("read"), asyncRoute(async (req, res) => {
+  await purgeExpiredQuarantine();
+  const store = loadStore();
+  const items = req.query.root
+    ? store.quarantine.filter((item) => (item.root || "default") === req.query.root)
+    : store.quarantine;
+  res.json(summarizeQuarantine(items));
+}));
+
+app.post("/api/quarantine/:id/restore", requireRole("operator"), asyncRoute(async (req, res) => {
+  const results = await restoreQuarantineItem(req.params.id, req.identity);
+  if (!results) {
+    res.status(404).json({ error: `Unknown quarantine item: ${req.params.id}` });
+    return;
+  }
+  res.json({ results, ...summarizeQuarantine(loadStore().quarantine) });
+}));
+
+app.post(
+  "/api/quarantine/runs/:runId/restore",
+  requireRole("operator"),
+  asyncRoute(async (req, res) => {
+    const results = await restoreRun(req.params.runId, req.identity);
+    if (!results) {
+      res.status(404).json({ error: `No quarantined files for run: ${req.params.runId}` });
+      return;
+    }
+    res.json({ results, ...summarizeQuarantine(loadStore().quarantine) });
+  })
+);
+
+app.delete("/api/quarantine", requireRole("operator"), asyncRoute(async (req, res) => {
+  let purgedBytes = 0;
+  const purged = new Set();
+  const records = [];
+  const actor = actorOf({ identity: req.identity });
+  for (const item of loadStore().quarantine) {
+    if (await purgeItem(item)) {
+      purged.add(item.id);
+      purgedBytes += item.size;
+      records.push(auditRecord(item, "purge", "ok", { actor }));
+    } else {
+      records.push(auditRecord(item, "purge", "failed", { actor }));
+    }
+  }
+  // Items quarantined by a clean that finished meanwhile stay.
+  const remaining = updateStore((store) => {
+    store.quarantine = store.quarantine.filter((item) => !purged.has(item.id));
+    return store.quarantine;
+  });
+  auditLog.append(records);
+  const purgedFiles = purged.size;
+  res.json({ purgedFiles, purgedMB: toMB(purgedBytes), ...summarizeQuarantine(remaining) });
+}));
+
+// Anything a handler throws becomes a JSON error; details stay in the log.
+// Streams that already started (events, CSV export) are just closed.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(`${req.method} ${req.path} failed:`, err);
+  res.status(status).json({ error: status >= 500 ? "Internal server error" : err.message });
+});
+
+// Starting the server is left to `node index.js`; the CLI imports this
+// module for the scanning and cleaning code only.
+const startServer = (port) => {
+  serving = true;
+  return app.listen(port, () => {
+    console.log(`Storage cleaner API running on http://localhost:${port}`);
+    for (const root of loadStore().roots) {
+      console.log(`Storage root "${root.id}": ${root.path}`);
+    }
+    console.log(`Quarantine: ${QUARANTINE_DIR}`);
+    const bootstrap = tokenStore.bootstrap(process.env.ADMIN_TOKEN);
+    if (bootstrap?.token) {
+      writeFileAtomic(ADMIN_TOKEN_PATH, `${bootstrap.token}\n`, { mode: 0o600 });
+      console.log(`Admin token written to ${ADMIN_TOKEN_PATH}`);
+    }
+    // Retention and the size cap also hold on a server that sees no cleans.
+    const purge = () =>
+      purgeExpiredQuarantine().catch((err) =>
+        console.warn(`Quarantine purge failed: ${err.message}`)
+      );
+    purge();
+    // Timers treat delays past 2^31 - 1 ms (about 24 days) as 1 ms.
+    setInterval(purge, Math.min(QUARANTINE_PURGE_MINUTES * 60 * 1000, 2 ** 31 - 1)).unref();
+    scheduler.start();
+    if (WATCH_ENABLED) {
+      for (const root of loadStore().roots) watchRoot(contextFor(root));
+    }
+  });
+};
+
+const isMain = process.argv[1] && fs.realpathSync(process.argv[1]) === __filename;
+if (isMain) startServer(process.env.PORT || 4000);
+
+export {
+  contextFor,
+  historyFor,
+  loadStore,
+  restoreQuarantineItem,
+  restoreRun,
+  runAutomaticClean,
+  scanRoot,
+  startServer
+};
@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { exists } from "./helpers.js";
+
+// What a clean does to a category's files. `delete` moves them to the
+// quarantine, `compress` replaces each file with a gzip copy next to it and
+// `archive` moves it out of the root into the archive directory.
+export const CLEAN_ACTIONS = ["delete", "compress", "archive"];
+
+// Duplicates are extra copies of data kept elsewhere; shrinking or moving
+// them would defeat the point.
+const DELETE_ONLY = new Set(["duplicates"]);
+
+export const COMPRESSED_SUFFIX = ".gz";
+
+export const validateActions = (actions) => {
+  if (actions === undefined) return null;
+  if (!actions || typeof actions !== "object" || Array.isArray(actions)) {
+    return "actions must map category ids to an action";
+  }
+  for (const [category, action] of Object.entries(actions)) {
+    if (!CLEAN_ACTIONS.includes(action)) {
+      return `actions.${category} must be one of: ${CLEAN_ACTIONS.join(", ")}`;
+    }
+    if (DELETE_ONLY.has(category) && action !== "delete") {
+      return `actions.${category} can only be delete`;
+    }
+  }
+  return null;
+};
+
+export const actionFor = (file, actions = {}) => actions[file.category] || "delete";
+
+// Writes `<file>.gz`, carries the original timestamps over and removes the
+// original. Never overwrites an existing output, and gives up (keeping the
+// original) when gzip does not make the file smaller.
+export const compressFile = async (file) => {
+  const outputPath = `${file.path}${COMPRESSED_SUFFIX}`;
+  if (await exists(outputPath)) {
+    return { ok: false, reason: "output exists" };
+  }
+  try {
+    await pipeline(
+      fs.createReadStream(file.path),
+      zlib.createGzip(),
+      fs.createWriteStream(outputPath, { flags: "wx" })
+    );
+    const stat = await fs.promises.stat(outputPath);
+    if (stat.size >= file.size) {
+      await fs.promises.unlink(outputPath);
+      return { ok: false, reason: "not compressible" };
+    }
+    const source = await fs.promises.stat(file.path);
+    await fs.promises.utimes(outputPath, source.atime, source.mtime);
+    await fs.promises.unlink(file.path);
+    return { ok: true, outputPath, size: stat.size };
+  } catch (err) {
+    await fs.promises.rm(outputPath, { force: true });
+    throw err;
+  }
+};
+
+// Moves a file to `<dir>/<relativePath>`, adding the run id to the name if
+// an earlier archive already took that path.
+export const archiveFile = async (file, { dir, runId, moveFile }) => {
+  let target = path.join(dir, file.relativePath);
+  if (await exists(target)) {
+    const ext = path.extname(target);
+    target = `${target.slice(0, target.length - ext.length)}.${runId}${ext}`;
+  }
+  if (await exists(target)) return { ok: false, reason: "archive path exists" };
+  await moveFile(file.path, target);
+  return { ok: true, archivedPath: target };
+};
+
+// Moving a file to the archive only frees space when the archive is on
+// another device; a move within one filesystem frees nothing.
+export const archiveFreesSpace = async (dir, stat) => {
+  await fs.promises.mkdir(dir, { recursive: true });
+  return (await fs.promises.stat(dir)).dev !== stat.dev;
+};
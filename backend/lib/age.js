@@ -0,0 +1,51 @@
+import { DEFAULT_AGE_RULES } from "../../shared/classify.js";
+
+export { isStale } from "../../shared/classify.js";
+
+const BASES = new Set(["mtime", "atime"]);
+
+const envDays = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const ENV_DAYS = {
+  cache: "CACHE_MIN_AGE_DAYS",
+  downloads: "DOWNLOADS_MIN_AGE_DAYS",
+  logs: "LOGS_MIN_AGE_DAYS"
+};
+
+export const defaultAgeRules = () =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_AGE_RULES).map(([id, rule]) => [
+      id,
+      { ...rule, minAgeDays: envDays(ENV_DAYS[id], rule.minAgeDays) }
+    ])
+  );
+
+export const validateAgeRules = (rules) => {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return "ageRules must be an object keyed by category id";
+  }
+  for (const [id, rule] of Object.entries(rules)) {
+    if (!rule || typeof rule !== "object") return `ageRules.${id} must be an object`;
+    if (rule.basis !== undefined && !BASES.has(rule.basis)) {
+      return `ageRules.${id}.basis must be "mtime" or "atime"`;
+    }
+    if (
+      rule.minAgeDays !== undefined &&
+      (typeof rule.minAgeDays !== "number" || !(rule.minAgeDays >= 0))
+    ) {
+      return `ageRules.${id}.minAgeDays must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+export const mergeAgeRules = (base, overrides = {}) => {
+  const merged = { ...base };
+  for (const [id, rule] of Object.entries(overrides)) {
+    merged[id] = { basis: "mtime", minAgeDays: 0, ...base[id], ...rule };
+  }
+  return merged;
+};
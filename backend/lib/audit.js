@@ -0,0 +1,114 @@
+import fs from "fs";
+import readline from "readline";
+import { toInt } from "./helpers.js";
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+export const AUDIT_COLUMNS = [
+  "time",
+  "runId",
+  "root",
+  "action",
+  "path",
+  "size",
+  "hash",
+  "result",
+  "error",
+  "actor"
+];
+
+// Turns ?path, ?from, ?to, ?run, ?root, ?action and ?result into a filter,
+// or returns `{ error }` for an unparseable time.
+export const parseAuditQuery = (query = {}) => {
+  const filter = {
+    pathPrefix: query.path ? String(query.path).replace(/^\/+/, "") : null,
+    runId: query.run ? String(query.run) : null,
+    root: query.root ? String(query.root) : null,
+    action: query.action ? String(query.action) : null,
+    result: query.result ? String(query.result) : null,
+    from: null,
+    to: null
+  };
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+    const time = Date.parse(query[key]);
+    if (!Number.isFinite(time)) return { error: `${key} must be a date` };
+    filter[key] = time;
+  }
+  return { filter };
+};
+
+const matches = (record, filter) => {
+  if (filter.pathPrefix && !String(record.path).startsWith(filter.pathPrefix)) return false;
+  if (filter.runId && record.runId !== filter.runId) return false;
+  if (filter.root && record.root !== filter.root) return false;
+  if (filter.action && record.action !== filter.action) return false;
+  if (filter.result && record.result !== filter.result) return false;
+  if (filter.from !== null || filter.to !== null) {
+    const time = Date.parse(record.time);
+    if (filter.from !== null && time < filter.from) return false;
+    if (filter.to !== null && time > filter.to) return false;
+  }
+  return true;
+};
+
+// One JSON record per line, only ever appended to. Reads go through the
+// file line by line, so an export never holds the whole log in memory.
+export const createAuditLog = (logPath) => {
+  const append = (records) => {
+    if (!records.length) return;
+    const time = new Date().toISOString();
+    const lines = records.map((record) => {
+      const line = Object.fromEntries(AUDIT_COLUMNS.map((key) => [key, record[key] ?? null]));
+      return JSON.stringify({ ...line, time: record.time || time });
+    });
+    fs.appendFileSync(logPath, `${lines.join("\n")}\n`);
+  };
+
+  // Calls `visit` for every matching record in file order (oldest first).
+  const scan = async (filter, visit) => {
+    if (!fs.existsSync(logPath)) return;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(logPath, { encoding: "utf-8" }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (matches(record, filter)) visit(record);
+    }
+  };
+
+  // Newest first, paged with ?offset and ?limit.
+  const query = async (filter, { offset, limit } = {}) => {
+    const records = [];
+    await scan(filter, (record) => records.push(record));
+    records.reverse();
+    const start = Math.max(0, toInt(offset, 0));
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, toInt(limit, DEFAULT_PAGE_SIZE)));
+    return {
+      total: records.length,
+      offset: start,
+      limit: size,
+      records: records.slice(start, start + size)
+    };
+  };
+
+  return { append, scan, query };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvHeader = () => `${AUDIT_COLUMNS.join(",")}\n`;
+
+export const csvRow = (record) => `${AUDIT_COLUMNS.map((key) => csvCell(record[key])).join(",")}\n`;
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import fs from "fs";
+import { writeFileAtomic } from "./store.js";
+
+// Each role includes everything the roles before it may do.
+export const ROLES = ["read", "operator", "admin"];
+
+const TOKEN_PREFIX = "sct_";
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const publicRecord = ({ hash, ...record }) => record;
+
+export const roleAllows = (role, required) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// Tokens are stored by SHA-256 hash only; the secret is returned once, when
+// the token is created. Revoked tokens stay in the file so history entries
+// that name them can still be resolved.
+export const createTokenStore = (tokensPath) => {
+  let tokens = [];
+  if (fs.existsSync(tokensPath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(tokensPath, "utf-8"));
+      tokens = Array.isArray(data.tokens) ? data.tokens : [];
+    } catch {
+      console.warn(`Ignoring unreadable token file ${tokensPath}`);
+    }
+  }
+
+  const save = () => {
+    writeFileAtomic(tokensPath, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+  };
+
+  const add = ({ name, role }, secret) => {
+    const record = {
+      id: `tok_${crypto.randomBytes(6).toString("hex")}`,
+      name,
+      role,
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    tokens.push(record);
+    save();
+    return publicRecord(record);
+  };
+
+  const create = ({ name, role }) => {
+    const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+    return { token: secret, record: add({ name, role }, secret) };
+  };
+
+  const revoke = (id) => {
+    const record = tokens.find((item) => item.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      save();
+    }
+    return publicRecord(record);
+  };
+
+  const verify = (secret) => {
+    if (typeof secret !== "string" || !secret) return null;
+    const hash = hashSecret(secret);
+    const record = tokens.find((item) => !item.revokedAt && item.hash === hash);
+    return record ? publicRecord(record) : null;
+  };
+
+  const list = () => tokens.map(publicRecord);
+
+  const hasActiveAdmin = () => tokens.some((item) => item.role === "admin" && !item.revokedAt);
+
+  // Makes sure someone can administer a fresh install. A fixed secret (from
+  // the environment) is registered once; otherwise a random admin token is
+  // created when no active admin exists and its secret returned to the
+  // caller to hand over locally.
+  const bootstrap = (secret) => {
+    if (secret) {
+      const existing = tokens.find((item) => item.hash === hashSecret(secret));
+      if (existing) return { record: publicRecord(existing), token: null };
+      return { record: add({ name: "local-admin", role: "admin" }, secret), token: null };
+    }
+    if (hasActiveAdmin()) return null;
+    return create({ name: "local-admin", role: "admin" });
+  };
+
+  return { create, revoke, verify, list, bootstrap };
+};
+
+export const validateTokenRequest = (body) => {
+  if (!body || typeof body !== "object") return "body must be an object";
+  if (typeof body.name !== "string" || !body.name.trim()) return "name is required";
+  if (!ROLES.includes(body.role)) return `role must be one of: ${ROLES.join(", ")}`;
+  return null;
+};
+
+// Reads a bearer token from the Authorization header. EventSource cannot
+// set headers, so event streams may take it as ?access_token instead; other
+// routes never do, to keep tokens out of URLs, proxy logs and history.
+const readToken = (req, queryToken) => {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  if (queryToken && req.method === "GET" && typeof req.query.access_token === "string") {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+// Returns a middleware factory: `requireRole("operator")` rejects requests
+// without a valid token (401) or with a role below the one required (403),
+// and otherwise leaves the caller's token record on `req.identity`. Pass
+// `{ queryToken: true }` for GET routes an EventSource connects to.
+export const createAuth =
+  (tokenStore) =>
+  (required, { queryToken = false } = {}) =>
+  (req, res, next) => {
+    const identity = tokenStore.verify(readToken(req, queryToken));
+    if (!identity) {
+      res.status(401).json({ error: "A valid API token is required" });
+      return;
+    }
+    if (!roleAllows(identity.role, required)) {
+      res.status(403).json({ error: `This action needs the ${required} role` });
+      return;
+    }
+    req.identity = identity;
+    next();
+  };
+
+// The part of an identity worth writing into history and logs.
+export const describeIdentity = (identity) =>
+  identity ? { id: identity.id, name: identity.name, role: identity.role } : null;
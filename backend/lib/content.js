@@ -0,0 +1,17 @@
+import { SNIFF_BYTES, sniffContent } from "../../shared/content.js";
+import { openWithoutAtime } from "./duplicates.js";
+
+// Reads the first bytes of a file and names its type, or null when the
+// content is not recognised or cannot be read.
+export const sniffFile = async (filePath) => {
+  let handle;
+  try {
+    handle = await openWithoutAtime(filePath);
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffContent(buffer.subarray(0, bytesRead));
+  } catch {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+};
@@ -0,0 +1,101 @@
+// Minimal five-field cron: minute hour day-of-month month day-of-week, in
+// server local time. Fields accept `*`, numbers, `a-b` ranges, `/step` and
+// comma lists; day-of-week 7 is Sunday like 0.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *"
+};
+
+// Searching further than this means the expression can never match
+// (e.g. 30 February).
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field: ${text}`);
+    const [, all, start, end, stepText] = match;
+    const from = all === "*" ? min : Number(start);
+    const to = all === "*" ? max : end !== undefined ? Number(end) : stepText ? max : from;
+    const step = stepText ? Number(stepText) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+// Returns the parsed fields, or throws with a message naming the bad field.
+export const parseCron = (expression) => {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error("Cron expressions need five fields");
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Classic cron: when both day fields are restricted, either may match.
+    anyDay: parts[2] === "*" || parts[4] === "*",
+    daysRestricted: parts[2] !== "*",
+    weekdaysRestricted: parts[4] !== "*"
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (!cron.anyDay) return dom || dow;
+  if (cron.daysRestricted) return dom;
+  if (cron.weekdaysRestricted) return dow;
+  return true;
+};
+
+// The first matching minute strictly after `from`, or null if none exists.
+export const nextCronTime = (expression, from = new Date()) => {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+};
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import fs from "fs";
+import { PARTIAL_BYTES } from "../../shared/duplicates.js";
+import { writeFileAtomic } from "./store.js";
+
+const NOATIME = fs.constants.O_NOATIME || 0;
+
+// Reading a file to hash or sniff it would otherwise bump its atime and make
+// it look recently used to the age rules. O_NOATIME needs file ownership, so
+// fall back to a plain open when the kernel refuses it.
+export const openWithoutAtime = async (filePath) => {
+  try {
+    return await fs.promises.open(filePath, fs.constants.O_RDONLY | NOATIME);
+  } catch (err) {
+    if (err.code !== "EPERM" || !NOATIME) throw err;
+    return fs.promises.open(filePath, "r");
+  }
+};
+
+const hashFile = async (filePath, limit) => {
+  const handle = await openWithoutAtime(filePath);
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    const options = limit ? { start: 0, end: limit - 1 } : {};
+    const stream = handle.createReadStream(options);
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(hash.digest("hex")));
+  });
+};
+
+// Hashes are cached per path and only trusted while size and mtime still match.
+export const createHashCache = (cachePath) => {
+  let entries = {};
+  let dirty = false;
+
+  if (fs.existsSync(cachePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, "utf-8"));
+      entries = data && typeof data.entries === "object" ? data.entries : {};
+    } catch {
+      entries = {};
+    }
+  }
+
+  const lookup = (file) => {
+    const entry = entries[file.path];
+    if (!entry || entry.size !== file.size || entry.mtimeMs !== file.mtimeMs) {
+      const fresh = { size: file.size, mtimeMs: file.mtimeMs };
+      entries[file.path] = fresh;
+      dirty = true;
+      return fresh;
+    }
+    return entry;
+  };
+
+  const hash = async (file, kind) => {
+    const entry = lookup(file);
+    if (entry[kind]) return entry[kind];
+    if (file.size <= PARTIAL_BYTES) {
+      entry.partial = entry.full = await hashFile(file.path);
+    } else {
+      entry[kind] = await hashFile(file.path, kind === "partial" ? PARTIAL_BYTES : 0);
+    }
+    dirty = true;
+    return entry[kind];
+  };
+
+  // Caches another per-file value, such as an image's perceptual hash, under
+  // the same size and mtime check. A null result is cached too; a throw is
+  // not, so a file that could not be read is tried again next time.
+  const remember = async (file, kind, compute) => {
+    const entry = lookup(file);
+    if (kind in entry) return entry[kind];
+    entry[kind] = await compute(file);
+    dirty = true;
+    return entry[kind];
+  };
+
+  // The full hash if one is already cached for this exact file version;
+  // never reads the file.
+  const peek = (file) => {
+    const entry = entries[file.path];
+    if (!entry || entry.size !== file.size || entry.mtimeMs !== file.mtimeMs) return null;
+    return entry.full || null;
+  };
+
+  const prune = (livePaths) => {
+    for (const key of Object.keys(entries)) {
+      if (!livePaths.has(key)) {
+        delete entries[key];
+        dirty = true;
+      }
+    }
+  };
+
+  const save = () => {
+    if (!dirty) return;
+    writeFileAtomic(cachePath, JSON.stringify({ entries }));
+    dirty = false;
+  };
+
+  return { hash, peek, prune, remember, save };
+};
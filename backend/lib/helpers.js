@@ -0,0 +1,17 @@
+import fs from "fs";
+
+// An integer query parameter, or `fallback` when it is missing or not a number.
+export const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Whether anything, including a dangling symlink, is at `filePath`.
+export const exists = async (filePath) => {
+  try {
+    await fs.promises.lstat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
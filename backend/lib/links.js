@@ -0,0 +1,44 @@
+// Hard links share a device + inode pair. Files indexed before inode
+// numbers were recorded fall back to their path, i.e. count as unlinked.
+export const inodeKey = (file) =>
+  file.ino !== undefined && file.dev !== undefined ? `${file.dev}:${file.ino}` : `path:${file.path}`;
+
+// Bytes actually used by a set of files, counting every inode once.
+export const uniqueBytes = (files) => {
+  const sizes = new Map();
+  for (const file of files) sizes.set(inodeKey(file), file.size);
+  let total = 0;
+  for (const size of sizes.values()) total += size;
+  return total;
+};
+
+// Bytes that removing all of `files` would free. An inode's data is only
+// released once its last link goes, so an inode only counts when the set
+// holds as many of its links as its link count; removing one link of a
+// multi-link file frees nothing.
+export const reclaimableBytes = (files) => {
+  const groups = new Map();
+  for (const file of files) {
+    const key = inodeKey(file);
+    const group = groups.get(key) || { size: file.size, nlink: file.nlink || 1, paths: new Set() };
+    group.paths.add(file.path);
+    groups.set(key, group);
+  }
+  let total = 0;
+  for (const group of groups.values()) {
+    if (group.paths.size >= group.nlink) total += group.size;
+  }
+  return total;
+};
+
+// Keeps one file per inode, so hard links of the same data are not
+// mistaken for duplicate copies.
+export const oneLinkPerInode = (files) => {
+  const seen = new Set();
+  return files.filter((file) => {
+    const key = inodeKey(file);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
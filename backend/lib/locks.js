@@ -0,0 +1,53 @@
+// In-process mutual exclusion keyed by name (one key per root). `acquire`
+// hands out the lock in request order; callers that should not wait use
+// `tryAcquire`. Both resolve to a `release()` function, or null when the
+// lock is busy (or stayed busy for `timeoutMs`).
+export const createLockManager = () => {
+  const locks = new Map();
+
+  const grant = (key, lock, holder) => {
+    lock.holder = { ...holder, since: new Date().toISOString() };
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const next = lock.waiting.shift();
+      if (next) {
+        clearTimeout(next.timer);
+        next.resolve(grant(key, lock, next.holder));
+      } else {
+        locks.delete(key);
+      }
+    };
+  };
+
+  const tryAcquire = (key, holder = {}) => {
+    if (locks.has(key)) return null;
+    const lock = { holder: null, waiting: [] };
+    locks.set(key, lock);
+    return grant(key, lock, holder);
+  };
+
+  const acquire = (key, holder = {}, { timeoutMs = 0 } = {}) => {
+    const release = tryAcquire(key, holder);
+    if (release) return Promise.resolve(release);
+    const lock = locks.get(key);
+    return new Promise((resolve) => {
+      const waiter = { holder, resolve, timer: null };
+      if (timeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          lock.waiting = lock.waiting.filter((item) => item !== waiter);
+          resolve(null);
+        }, timeoutMs);
+      }
+      lock.waiting.push(waiter);
+    });
+  };
+
+  const status = (key) => {
+    const lock = locks.get(key);
+    return lock ? { holder: lock.holder, queued: lock.waiting.length } : null;
+  };
+
+  return { acquire, tryAcquire, status };
+};
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Clean plans are kept in memory only: a restart invalidates every
+// outstanding token, which errs on the side of not deleting anything.
+export const createPlanStore = ({ ttlMs }) => {
+  const plans = new Map();
+
+  const sweep = (now = Date.now()) => {
+    for (const [token, plan] of plans) {
+      if (plan.expiresAtMs <= now) plans.delete(token);
+    }
+  };
+
+  const create = (plan) => {
+    sweep();
+    const token = crypto.randomBytes(16).toString("hex");
+    const expiresAtMs = Date.now() + ttlMs;
+    const stored = {
+      ...plan,
+      token,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAtMs).toISOString(),
+      expiresAtMs
+    };
+    plans.set(token, stored);
+    return stored;
+  };
+
+  // Looks a plan up without using it up.
+  const peek = (token) => {
+    const plan = plans.get(token);
+    if (!plan) return { plan: null, expired: false };
+    if (plan.expiresAtMs <= Date.now()) return { plan: null, expired: true };
+    return { plan, expired: false };
+  };
+
+  // Plans are single use: taking one removes it whether or not it expired.
+  const take = (token) => {
+    const plan = plans.get(token);
+    if (!plan) return { plan: null, expired: false };
+    plans.delete(token);
+    if (plan.expiresAtMs <= Date.now()) return { plan: null, expired: true };
+    return { plan, expired: false };
+  };
+
+  return { create, peek, take };
+};
+
+// Compares each planned file with what is on disk now and lists the ones
+// that are gone or whose size or mtime moved since the plan was made.
+export const findChangedFiles = async (files) => {
+  const changed = [];
+  for (const file of files) {
+    let stat;
+    try {
+      stat = await fs.promises.lstat(file.path);
+    } catch {
+      changed.push({ path: file.relativePath, reason: "missing" });
+      continue;
+    }
+    if (!stat.isFile()) {
+      changed.push({ path: file.relativePath, reason: "not a regular file" });
+    } else if (stat.size !== file.size) {
+      changed.push({ path: file.relativePath, reason: "size changed" });
+    } else if (stat.mtimeMs !== file.mtimeMs) {
+      changed.push({ path: file.relativePath, reason: "modified" });
+    }
+  }
+  return changed;
+};
+
+// Re-reads size and mtime for planned files so the plan pins what is on disk
+// at planning time, not what a possibly stale scan index remembered.
+export const snapshotFiles = async (files) => {
+  const fresh = [];
+  const missing = [];
+  for (const file of files) {
+    try {
+      const stat = await fs.promises.lstat(file.path);
+      if (!stat.isFile()) throw new Error("not a regular file");
+      fresh.push({ ...file, size: stat.size, mtimeMs: stat.mtimeMs, nlink: stat.nlink });
+    } catch {
+      missing.push({ path: file.relativePath, reason: "missing" });
+    }
+  }
+  return { fresh, missing };
+};
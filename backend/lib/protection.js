@@ -0,0 +1,62 @@
+import path from "path";
+import { compileGlob, toPosix } from "../../shared/glob.js";
+
+const MODES = new Set(["protect", "allowlist"]);
+
+export const defaultProtection = () => ({
+  mode: "protect",
+  protectedGlobs: [],
+  allowedGlobs: [],
+  pins: []
+});
+
+export const normalizeProtection = (data) => ({
+  ...defaultProtection(),
+  ...(data && typeof data === "object" ? data : {})
+});
+
+const isGlobList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim());
+
+export const validateProtection = (body) => {
+  if (!body || typeof body !== "object") return "body must be an object";
+  if (body.mode !== undefined && !MODES.has(body.mode)) {
+    return 'mode must be "protect" or "allowlist"';
+  }
+  for (const key of ["protectedGlobs", "allowedGlobs"]) {
+    if (body[key] !== undefined && !isGlobList(body[key])) {
+      return `${key} must be a list of glob strings`;
+    }
+  }
+  return null;
+};
+
+// Pins are compared with scanned relative paths, so `./a`, `a//b` and a
+// leading or trailing slash all name the same file as the plain path.
+export const normalizePin = (value) =>
+  path.posix
+    .normalize(toPosix(String(value)))
+    .replace(/^\/+/, "")
+    .replace(/\/+$/, "");
+
+// Returns a function that gives the reason a file is off limits, or null
+// when it may be categorized. Pins win over everything, then protected
+// globs; in allowlist mode anything not matching an allowed glob is also
+// excluded.
+export const compileProtection = (protection, rootId) => {
+  const pins = new Set(
+    protection.pins.filter((pin) => pin.root === rootId).map((pin) => normalizePin(pin.path))
+  );
+  const protectedTests = protection.protectedGlobs.map(compileGlob);
+  const allowedTests = protection.allowedGlobs.map(compileGlob);
+  const allowlist = protection.mode === "allowlist";
+
+  return (file) => {
+    if (pins.has(toPosix(file.relativePath))) return "pinned";
+    if (protectedTests.some((test) => test(file.relativePath))) return "protected";
+    if (allowlist && !allowedTests.some((test) => test(file.relativePath))) {
+      return "not-allowlisted";
+    }
+    return null;
+  };
+};
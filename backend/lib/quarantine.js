@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+import { exists } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// rename() cannot cross devices, so fall back to copy + unlink when the
+// quarantine lives on a different volume than the file.
+export const moveFile = async (from, to) => {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    await fs.promises.unlink(from);
+  }
+};
+
+export const quarantineFile = async (file, { dir, runId, index }) => {
+  const id = `${runId}_${index}`;
+  const storedPath = path.join(dir, runId, `${index}-${file.name}`);
+  await moveFile(file.path, storedPath);
+  return {
+    id,
+    runId,
+    originalPath: file.path,
+    storedPath,
+    name: file.name,
+    size: file.size,
+    mtimeMs: file.mtimeMs,
+    category: file.category,
+    quarantinedAt: new Date().toISOString()
+  };
+};
+
+// Moves an item back to where it came from. Never overwrites: if something
+// now lives at the original path the item stays in quarantine and the
+// result reports a conflict. `canRestoreTo` can veto the destination, e.g.
+// when a parent directory was swapped for a symlink that leaves the root.
+export const restoreItem = async (item, { canRestoreTo } = {}) => {
+  if (await exists(item.originalPath)) {
+    return { id: item.id, path: item.originalPath, restored: false, reason: "conflict" };
+  }
+  if (canRestoreTo && !(await canRestoreTo(item.originalPath))) {
+    return { id: item.id, path: item.originalPath, restored: false, reason: "outside-root" };
+  }
+  try {
+    await moveFile(item.storedPath, item.originalPath);
+    await fs.promises.rmdir(path.dirname(item.storedPath)).catch(() => {});
+  } catch (err) {
+    return { id: item.id, path: item.originalPath, restored: false, reason: err.code || "error" };
+  }
+  if (item.mtimeMs) {
+    const mtime = new Date(item.mtimeMs);
+    await fs.promises.utimes(item.originalPath, mtime, mtime).catch(() => {});
+  }
+  return { id: item.id, path: item.originalPath, restored: true };
+};
+
+export const purgeItem = async (item) => {
+  try {
+    await fs.promises.unlink(item.storedPath);
+  } catch (err) {
+    if (err.code !== "ENOENT") return false;
+  }
+  await fs.promises.rmdir(path.dirname(item.storedPath)).catch(() => {});
+  return true;
+};
+
+// Splits items into those to keep and those to purge: anything older than
+// the retention period goes first, then the oldest items until the bin fits
+// under the size cap.
+export const selectExpired = (items, { retentionDays, maxBytes, now = Date.now() }) => {
+  const ordered = [...items].sort(
+    (a, b) => Date.parse(a.quarantinedAt) - Date.parse(b.quarantinedAt)
+  );
+  const expired = new Set();
+  if (retentionDays > 0) {
+    const cutoff = now - retentionDays * DAY_MS;
+    for (const item of ordered) {
+      if (Date.parse(item.quarantinedAt) < cutoff) expired.add(item);
+    }
+  }
+  if (maxBytes > 0) {
+    let total = ordered.filter((item) => !expired.has(item)).reduce((s, i) => s + i.size, 0);
+    for (const item of ordered) {
+      if (total <= maxBytes) break;
+      if (expired.has(item)) continue;
+      expired.add(item);
+      total -= item.size;
+    }
+  }
+  return {
+    keep: items.filter((item) => !expired.has(item)),
+    purge: ordered.filter((item) => expired.has(item))
+  };
+};
+
+// Records on a clean run's history entry which of its files came back. A run
+// only counts as reverted once every file it recorded was restored: a purged
+// quarantine copy never comes back, and neither does a file the run
+// compressed or archived, so such a run stays undoable. Entries from before
+// runs recorded their files only know how many items are still quarantined.
+export const markRestored = (entry, results, { remaining, by }) => {
+  const restoredIds = new Set(results.filter((r) => r.restored).map((r) => r.id));
+  for (const file of entry.files || []) {
+    if (restoredIds.has(file.quarantineId)) file.restored = true;
+  }
+  entry.restoredFiles = (entry.restoredFiles || 0) + restoredIds.size;
+  entry.reverted = Array.isArray(entry.files)
+    ? entry.files.every((file) => file.restored)
+    : remaining === 0;
+  if (restoredIds.size) {
+    entry.revertedAt = new Date().toISOString();
+    entry.revertedBy = by;
+  }
+  return entry;
+};
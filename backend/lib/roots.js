@@ -0,0 +1,91 @@
+import fs from "fs";
+import path from "path";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const RESERVED_IDS = new Set(["all"]);
+
+const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const contains = (parent, child) =>
+  child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+
+// A root's capacity is optional; null clears it.
+export const validateCapacity = (value) => {
+  if (value === undefined || value === null) return null;
+  return Number.isFinite(value) && value > 0 ? null : "capacityMB must be a positive number";
+};
+
+// Checks a root registration against the existing roots and returns either
+// `{ root }` ready to store or `{ error, status }`. Roots may not nest inside
+// each other, otherwise the aggregate view would count files twice.
+export const prepareRoot = (body, existing) => {
+  const { name, path: rawPath } = body || {};
+  if (typeof rawPath !== "string" || !path.isAbsolute(rawPath)) {
+    return { error: "path must be an absolute directory path", status: 400 };
+  }
+  const resolved = path.resolve(rawPath);
+  let stat;
+  try {
+    stat = fs.statSync(resolved);
+  } catch {
+    return { error: `path does not exist: ${resolved}`, status: 400 };
+  }
+  if (!stat.isDirectory()) return { error: `path is not a directory: ${resolved}`, status: 400 };
+
+  const id = body.id !== undefined ? String(body.id) : slugify(name || path.basename(resolved));
+  if (!ID_PATTERN.test(id) || RESERVED_IDS.has(id)) {
+    return { error: "id must be letters, digits, '-' or '_' and not a reserved name", status: 400 };
+  }
+  if (existing.some((root) => root.id === id)) {
+    return { error: `Root already exists: ${id}`, status: 409 };
+  }
+  const overlap = existing.find((root) => {
+    const other = path.resolve(root.path);
+    return contains(other, resolved) || contains(resolved, other);
+  });
+  if (overlap) {
+    return { error: `path overlaps with root "${overlap.id}" (${overlap.path})`, status: 409 };
+  }
+  const capacityError = validateCapacity(body.capacityMB);
+  if (capacityError) return { error: capacityError, status: 400 };
+
+  return {
+    root: {
+      id,
+      name: typeof name === "string" && name.trim() ? name.trim() : path.basename(resolved),
+      path: resolved,
+      capacityMB: body.capacityMB ?? null,
+      createdAt: new Date().toISOString()
+    }
+  };
+};
+
+// Resolves `target` through every symlink and checks that it stays strictly
+// inside the real root. For a path that does not exist yet (a restore
+// destination) the nearest existing ancestor is resolved instead.
+export const withinRoot = async (target, rootPath) => {
+  let realRoot;
+  try {
+    realRoot = await fs.promises.realpath(rootPath);
+  } catch {
+    return false;
+  }
+  let current = path.resolve(target);
+  let suffix = "";
+  while (true) {
+    try {
+      const real = await fs.promises.realpath(current);
+      return path.join(real, suffix).startsWith(realRoot + path.sep);
+    } catch (err) {
+      if (err.code !== "ENOENT") return false;
+      const parent = path.dirname(current);
+      if (parent === current) return false;
+      suffix = path.join(path.basename(current), suffix);
+      current = parent;
+    }
+  }
+};
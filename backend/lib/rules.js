@@ -0,0 +1,112 @@
+import fs from "fs";
+import { DEFAULT_RULES, DUPLICATES_CATEGORY } from "../../shared/classify.js";
+import { CONTENT_KINDS } from "../../shared/content.js";
+import { SIMILAR_CATEGORY } from "./similar.js";
+import { writeFileAtomic } from "./store.js";
+
+export { DEFAULT_RULES, categoriesFromRules, compileRules } from "../../shared/classify.js";
+
+// Categories the scan fills itself; a rule naming one would report a second
+// category under the same id.
+export const RESERVED_CATEGORIES = new Set([DUPLICATES_CATEGORY.id, SIMILAR_CATEGORY.id]);
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const MATCH_KEYS = new Set([
+  "glob",
+  "extensions",
+  "directories",
+  "kinds",
+  "pathPrefix",
+  "minSize",
+  "maxSize",
+  "minAgeDays",
+  "ageBasis"
+]);
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string" && item.length);
+
+const isSize = (value) => Number.isFinite(value) && value >= 0;
+
+export const validateRule = (rule) => {
+  if (!rule || typeof rule !== "object") return "rule must be an object";
+  if (typeof rule.id !== "string" || !ID_PATTERN.test(rule.id)) {
+    return "rule.id must be letters, digits, '-' or '_'";
+  }
+  if (typeof rule.category !== "string" || !ID_PATTERN.test(rule.category)) {
+    return "rule.category must be letters, digits, '-' or '_'";
+  }
+  if (RESERVED_CATEGORIES.has(rule.category)) {
+    return `rule.category "${rule.category}" is reserved`;
+  }
+  if (typeof rule.name !== "string" || !rule.name.trim()) return "rule.name is required";
+  if (rule.description !== undefined && typeof rule.description !== "string") {
+    return "rule.description must be a string";
+  }
+  const match = rule.match;
+  if (!match || typeof match !== "object" || Array.isArray(match)) {
+    return "rule.match must be an object";
+  }
+  const keys = Object.keys(match);
+  if (!keys.length) return "rule.match needs at least one criterion";
+  for (const key of keys) {
+    if (!MATCH_KEYS.has(key)) return `rule.match.${key} is not a known criterion`;
+  }
+  for (const key of ["glob", "extensions", "directories"]) {
+    if (match[key] !== undefined && !isStringList(match[key])) {
+      return `rule.match.${key} must be a list of strings`;
+    }
+  }
+  if (
+    match.kinds !== undefined &&
+    !(isStringList(match.kinds) && match.kinds.every((kind) => CONTENT_KINDS.includes(kind)))
+  ) {
+    return `rule.match.kinds must be a list of: ${CONTENT_KINDS.join(", ")}`;
+  }
+  if (match.pathPrefix !== undefined && typeof match.pathPrefix !== "string") {
+    return "rule.match.pathPrefix must be a string";
+  }
+  for (const key of ["minSize", "maxSize", "minAgeDays"]) {
+    if (match[key] !== undefined && !isSize(match[key])) {
+      return `rule.match.${key} must be a non-negative number`;
+    }
+  }
+  if (match.ageBasis !== undefined && !["mtime", "atime"].includes(match.ageBasis)) {
+    return 'rule.match.ageBasis must be "mtime" or "atime"';
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+    return "rule.enabled must be a boolean";
+  }
+  return null;
+};
+
+export const validateRules = (rules) => {
+  if (!Array.isArray(rules)) return "rules must be a list";
+  const seen = new Set();
+  for (const rule of rules) {
+    const error = validateRule(rule);
+    if (error) return `${rule?.id || "rule"}: ${error}`;
+    if (seen.has(rule.id)) return `duplicate rule id "${rule.id}"`;
+    seen.add(rule.id);
+  }
+  return null;
+};
+
+export const loadRules = (rulesPath) => {
+  if (!fs.existsSync(rulesPath)) return { rules: DEFAULT_RULES, source: "default" };
+  try {
+    const data = JSON.parse(fs.readFileSync(rulesPath, "utf-8"));
+    const rules = Array.isArray(data.rules) ? data.rules : [];
+    const error = validateRules(rules);
+    if (error) {
+      console.warn(`Ignoring invalid rules file ${rulesPath}: ${error}`);
+      return { rules: DEFAULT_RULES, source: "default" };
+    }
+    return { rules, source: "file" };
+  } catch {
+    return { rules: DEFAULT_RULES, source: "default" };
+  }
+};
+
+export const saveRules = (rulesPath, rules) => {
+  writeFileAtomic(rulesPath, JSON.stringify({ rules }, null, 2));
+};
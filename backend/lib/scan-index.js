@@ -0,0 +1,181 @@
+import fs from "fs";
+import path from "path";
+import { sniffFile } from "./content.js";
+import { writeFileAtomic } from "./store.js";
+
+// Persisted listing of every directory under the root, keyed by the
+// directory's path relative to the root. A directory whose mtime has not
+// changed since it was indexed has the same entries, so its file list is
+// reused without a readdir or per-file stat. Subdirectories are still
+// visited because their changes do not bubble up to the parent's mtime.
+//
+// Edits that rewrite a file in place do not touch the directory mtime, so
+// they are only picked up by a full refresh. That includes the content type
+// sniffed from each file's first bytes when its directory is listed.
+//
+// Symlinks are never followed or indexed: readdir reports them as neither
+// files nor directories, and file entries are re-checked with lstat.
+const INDEX_VERSION = 3;
+
+export const createScanIndex = (indexPath, root) => {
+  let dirs = {};
+
+  if (fs.existsSync(indexPath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(indexPath, "utf-8"));
+      if (
+        data &&
+        data.version === INDEX_VERSION &&
+        data.root === root &&
+        data.dirs &&
+        typeof data.dirs === "object"
+      ) {
+        dirs = data.dirs;
+      }
+    } catch {
+      dirs = {};
+    }
+  }
+
+  const save = () => {
+    writeFileAtomic(indexPath, JSON.stringify({ version: INDEX_VERSION, root, dirs }));
+  };
+
+  const readDir = async (absDir, mtimeMs) => {
+    const entries = await fs.promises.readdir(absDir, { withFileTypes: true });
+    const files = [];
+    const subdirs = [];
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        subdirs.push(entry.name);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      try {
+        const absPath = path.join(absDir, entry.name);
+        const stat = await fs.promises.lstat(absPath);
+        if (!stat.isFile()) continue;
+        files.push({
+          name: entry.name,
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+          atimeMs: stat.atimeMs,
+          dev: stat.dev,
+          ino: stat.ino,
+          nlink: stat.nlink,
+          contentType: stat.size ? await sniffFile(absPath) : null
+        });
+      } catch {
+        continue;
+      }
+    }
+    return { mtimeMs, files, subdirs };
+  };
+
+  const files = () => {
+    const list = [];
+    for (const [relDir, entry] of Object.entries(dirs)) {
+      for (const file of entry.files) {
+        const relativePath = path.join(relDir, file.name);
+        list.push({ ...file, path: path.join(root, relativePath), relativePath });
+      }
+    }
+    return list;
+  };
+
+  // Brings the index up to date and returns the flattened file list.
+  // `skipDir(name, absPath)` prunes directories; `full` ignores cached
+  // listings and re-reads everything. `onProgress` receives running totals
+  // after each directory, and an aborted `signal` stops the walk without
+  // touching the saved index.
+  const refresh = async ({ skipDir = () => false, full = false, onProgress, signal } = {}) => {
+    const visited = {};
+    const stack = [""];
+    const progress = { directories: 0, files: 0, bytes: 0 };
+    let reused = 0;
+
+    while (stack.length) {
+      if (signal?.aborted) {
+        const err = new Error("Scan cancelled");
+        err.name = "AbortError";
+        throw err;
+      }
+      const relDir = stack.pop();
+      const absDir = path.join(root, relDir);
+      let stat;
+      try {
+        stat = await fs.promises.stat(absDir);
+      } catch {
+        continue;
+      }
+
+      const cached = dirs[relDir];
+      let entry;
+      if (!full && cached && cached.mtimeMs === stat.mtimeMs) {
+        entry = cached;
+        reused += 1;
+      } else {
+        try {
+          entry = await readDir(absDir, stat.mtimeMs);
+        } catch {
+          continue;
+        }
+      }
+      visited[relDir] = entry;
+      progress.directories += 1;
+      progress.files += entry.files.length;
+      progress.bytes += entry.files.reduce((s, f) => s + f.size, 0);
+      if (onProgress) onProgress({ ...progress });
+
+      for (const name of entry.subdirs) {
+        if (skipDir(name, path.join(absDir, name))) continue;
+        stack.push(path.join(relDir, name));
+      }
+    }
+
+    dirs = visited;
+    save();
+    return { files: files(), dirCount: Object.keys(visited).length, reusedDirs: reused };
+  };
+
+  // Drops removed files from their directory listings and re-reads the
+  // directory mtimes, so the removals do not force those directories to be
+  // re-listed on the next refresh.
+  const removeFiles = async (absPaths) => {
+    const touched = new Set();
+    for (const absPath of absPaths) {
+      const relDir = path.relative(root, path.dirname(absPath));
+      const entry = dirs[relDir];
+      if (!entry) continue;
+      const name = path.basename(absPath);
+      entry.files = entry.files.filter((file) => file.name !== name);
+      touched.add(relDir);
+    }
+    for (const relDir of touched) {
+      try {
+        const stat = await fs.promises.stat(path.join(root, relDir));
+        dirs[relDir].mtimeMs = stat.mtimeMs;
+      } catch {
+        delete dirs[relDir];
+      }
+    }
+    save();
+  };
+
+  // Forgets the cached listing of each path's directory, so the next
+  // refresh re-reads it even if its mtime did not move (new files written
+  // after removeFiles, or files rewritten in place).
+  const invalidate = (absPaths) => {
+    let changed = false;
+    for (const absPath of absPaths) {
+      const entry = dirs[path.relative(root, path.dirname(absPath))];
+      if (entry && entry.mtimeMs !== null) {
+        entry.mtimeMs = null;
+        changed = true;
+      }
+    }
+    if (changed) save();
+  };
+
+  return { refresh, files, removeFiles, invalidate };
+};
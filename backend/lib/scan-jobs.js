@@ -0,0 +1,128 @@
+import { EventEmitter } from "events";
+
+const PROGRESS_INTERVAL_MS = 250;
+const KEEP_JOBS = 20;
+
+// In-memory registry of background scans. Only one scan runs at a time;
+// starting another while one is active returns the active job. `runScan`
+// receives `{ full, onProgress, signal }` and resolves to the scan result.
+// `idPrefix` keeps job ids unique when several registries exist.
+export const createScanJobs = (runScan, { idPrefix = "scan" } = {}) => {
+  const jobs = new Map();
+  let latestCompleted = null;
+
+  const describe = (job) => ({
+    id: job.id,
+    status: job.status,
+    full: job.full,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    error: job.error
+  });
+
+  const emit = (job, event) => job.events.emit("event", { event, data: describe(job) });
+
+  const trim = () => {
+    const finished = Array.from(jobs.values()).filter((job) => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, jobs.size - KEEP_JOBS))) {
+      if (job !== latestCompleted) jobs.delete(job.id);
+    }
+  };
+
+  const finish = (job, status, error) => {
+    job.status = status;
+    job.error = error || null;
+    job.progress = { ...job.progress, phase: "done" };
+    job.finishedAt = new Date().toISOString();
+    emit(job, "status");
+    job.events.removeAllListeners();
+    trim();
+  };
+
+  const active = () => Array.from(jobs.values()).find((job) => !job.finishedAt) || null;
+
+  const start = ({ full = false } = {}) => {
+    const running = active();
+    if (running) return { job: describe(running), created: false };
+
+    const job = {
+      id: `${idPrefix}_${Date.now()}`,
+      status: "running",
+      full,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { directories: 0, files: 0, bytes: 0, phase: "walking" },
+      error: null,
+      result: null,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+      lastEmit: 0
+    };
+    jobs.set(job.id, job);
+
+    const onProgress = (progress) => {
+      const phaseChanged = progress.phase && progress.phase !== job.progress.phase;
+      job.progress = { ...job.progress, ...progress };
+      const now = Date.now();
+      if (!phaseChanged && now - job.lastEmit < PROGRESS_INTERVAL_MS) return;
+      job.lastEmit = now;
+      emit(job, "progress");
+    };
+
+    runScan({ full, onProgress, signal: job.controller.signal })
+      .then((result) => {
+        job.result = result;
+        latestCompleted = job;
+        finish(job, "completed");
+      })
+      .catch((err) => {
+        if (err.name === "AbortError") finish(job, "cancelled");
+        else finish(job, "failed", err.message);
+      });
+
+    return { job: describe(job), created: true };
+  };
+
+  const get = (id) => (jobs.has(id) ? describe(jobs.get(id)) : null);
+
+  const has = (id) => jobs.has(id);
+
+  const list = () => Array.from(jobs.values()).map(describe).reverse();
+
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!job.finishedAt) job.controller.abort();
+    return describe(job);
+  };
+
+  // Calls `listener({ event, data })` for each progress tick and once with
+  // the final status. Returns an unsubscribe function, or null when the job
+  // already finished.
+  const subscribe = (id, listener) => {
+    const job = jobs.get(id);
+    if (!job || job.finishedAt) return null;
+    job.events.on("event", listener);
+    return () => job.events.off("event", listener);
+  };
+
+  const result = (id) => {
+    const job = id === "latest" ? latestCompleted : jobs.get(id);
+    return job && job.status === "completed" ? { id: job.id, result: job.result } : null;
+  };
+
+  // Lets a clean swap in its post-clean analysis so later readers of the
+  // latest result do not see files that are already gone.
+  const replaceLatest = (scan) => {
+    if (latestCompleted) latestCompleted.result = scan;
+  };
+
+  const cancelAll = () => {
+    for (const job of jobs.values()) {
+      if (!job.finishedAt) job.controller.abort();
+    }
+  };
+
+  return { start, get, has, list, cancel, cancelAll, subscribe, result, replaceLatest };
+};
@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import { validateActions } from "./actions.js";
+import { nextCronTime, parseCron } from "./cron.js";
+
+const MIN_INTERVAL_MINUTES = 1;
+
+// Checks a schedule body. `partial` allows updates that only touch some
+// fields; a full schedule needs exactly one of `cron` and `intervalMinutes`.
+export const validateSchedule = (body, { roots, partial = false }) => {
+  if (!body || typeof body !== "object") return "body must be an object";
+  if (body.name !== undefined && (typeof body.name !== "string" || !body.name.trim())) {
+    return "name must be a non-empty string";
+  }
+  if (!partial || body.root !== undefined) {
+    if (!roots.some((root) => root.id === body.root)) return `Unknown root: ${body.root}`;
+  }
+  if (!partial || body.categories !== undefined) {
+    if (
+      !Array.isArray(body.categories) ||
+      !body.categories.length ||
+      !body.categories.every((id) => typeof id === "string" && id)
+    ) {
+      return "categories must be a non-empty list of category ids";
+    }
+  }
+  if (body.simulated !== undefined && typeof body.simulated !== "boolean") {
+    return "simulated must be a boolean";
+  }
+  const actionsError = validateActions(body.actions);
+  if (actionsError) return actionsError;
+  const hasCron = body.cron !== undefined && body.cron !== null;
+  const hasInterval = body.intervalMinutes !== undefined && body.intervalMinutes !== null;
+  if (hasCron && hasInterval) return "use either cron or intervalMinutes, not both";
+  if (!partial && !hasCron && !hasInterval) return "cron or intervalMinutes is required";
+  if (hasCron) {
+    try {
+      parseCron(body.cron);
+    } catch (err) {
+      return err.message;
+    }
+    if (!nextCronTime(body.cron)) return "cron expression never matches";
+  }
+  if (hasInterval) {
+    if (!Number.isFinite(body.intervalMinutes) || body.intervalMinutes < MIN_INTERVAL_MINUTES) {
+      return `intervalMinutes must be a number of at least ${MIN_INTERVAL_MINUTES}`;
+    }
+  }
+  return null;
+};
+
+export const nextRunAt = (schedule, from = new Date()) => {
+  if (schedule.cron) {
+    const next = nextCronTime(schedule.cron, from);
+    return next ? next.toISOString() : null;
+  }
+  return new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000).toISOString();
+};
+
+export const createSchedule = (body) => {
+  const schedule = {
+    id: `sched_${crypto.randomBytes(4).toString("hex")}`,
+    name: body.name?.trim() || `Clean ${body.categories.join(", ")}`,
+    root: body.root,
+    categories: body.categories,
+    simulated: body.simulated !== false,
+    actions: body.actions || {},
+    cron: body.cron ?? null,
+    intervalMinutes: body.intervalMinutes ?? null,
+    paused: false,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastRunId: null,
+    lastStatus: null,
+    lastError: null,
+    skippedRuns: 0
+  };
+  return { ...schedule, nextRunAt: nextRunAt(schedule) };
+};
+
+export const updateSchedule = (schedule, body) => {
+  const next = { ...schedule };
+  for (const key of ["name", "root", "categories", "simulated", "actions"]) {
+    if (body[key] !== undefined) next[key] = key === "name" ? body.name.trim() : body[key];
+  }
+  if (body.cron !== undefined && body.cron !== null) {
+    next.cron = body.cron;
+    next.intervalMinutes = null;
+  } else if (body.intervalMinutes !== undefined && body.intervalMinutes !== null) {
+    next.intervalMinutes = body.intervalMinutes;
+    next.cron = null;
+  }
+  next.nextRunAt = nextRunAt(next);
+  return next;
+};
+
+// Polls the stored schedules and starts the ones that are due. A schedule
+// whose previous run is still going is not started again; the missed slot
+// is counted as skipped. Runs missed while the server was down collapse into
+// a single run on the first tick.
+//
+// `load()` returns the schedules, `update(id, patch)` persists changes and
+// `run(schedule)` performs one clean, resolving to `{ runId }`. `now` is the
+// clock, replaceable in tests.
+export const createScheduler = ({
+  load,
+  update,
+  run,
+  tickMs = 30 * 1000,
+  now = () => new Date()
+}) => {
+  const running = new Set();
+  let timer = null;
+
+  // Runs are started without waiting for them, so nothing here may throw:
+  // a failing store write is recorded like a failing clean, if it can be.
+  const execute = async (schedule) => {
+    running.add(schedule.id);
+    try {
+      update(schedule.id, { lastRunAt: now().toISOString(), lastStatus: "running" });
+      const { runId } = await run(schedule);
+      update(schedule.id, { lastRunId: runId, lastStatus: "completed", lastError: null });
+    } catch (err) {
+      try {
+        update(schedule.id, { lastStatus: "failed", lastError: err.message });
+      } catch (updateErr) {
+        console.warn(`Schedule ${schedule.id} failed (${err.message}): ${updateErr.message}`);
+      }
+    } finally {
+      running.delete(schedule.id);
+    }
+  };
+
+  const tick = () => {
+    const time = now();
+    for (const schedule of load()) {
+      if (schedule.paused || !schedule.nextRunAt) continue;
+      if (Date.parse(schedule.nextRunAt) > time.getTime()) continue;
+      const next = nextRunAt(schedule, time);
+      if (running.has(schedule.id)) {
+        update(schedule.id, { nextRunAt: next, skippedRuns: (schedule.skippedRuns || 0) + 1 });
+        continue;
+      }
+      update(schedule.id, { nextRunAt: next });
+      execute(schedule);
+    }
+  };
+
+  // Starts a run now, outside the timetable. Returns false when the
+  // schedule is already running.
+  const trigger = (schedule) => {
+    if (running.has(schedule.id)) return false;
+    execute(schedule);
+    return true;
+  };
+
+  // A tick that cannot read or write the store tries again on the next one.
+  const poll = () => {
+    try {
+      tick();
+    } catch (err) {
+      console.warn(`Checking schedules failed: ${err.message}`);
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    poll();
+    timer = setInterval(poll, tickMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, tick, trigger, isRunning: (id) => running.has(id) };
+};
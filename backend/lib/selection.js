@@ -0,0 +1,139 @@
+import path from "path";
+import { extensionOf, normalizeExtension } from "../../shared/classify.js";
+import { keepOneCopy } from "../../shared/duplicates.js";
+import { toInt } from "./helpers.js";
+import { reclaimableBytes } from "./links.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const SORTERS = {
+  size: (a, b) => a.size - b.size,
+  mtime: (a, b) => a.mtimeMs - b.mtimeMs,
+  path: (a, b) => a.relativePath.localeCompare(b.relativePath)
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// A scan's files for category `id`, or null. Ids come from requests, so
+// only the scan's own keys count ("constructor" is not a category).
+export const categoryList = (scan, id) =>
+  Object.hasOwn(scan.categoryFiles, id) ? scan.categoryFiles[id] : null;
+
+export const normalizeRelative = (value) =>
+  path.normalize(String(value)).replace(/^([/\\])+/, "");
+
+export const describeFile = (file) => ({
+  path: file.relativePath,
+  name: file.name,
+  size: file.size,
+  modified: new Date(file.mtimeMs).toISOString(),
+  links: file.nlink || 1,
+  contentType: file.contentType || null
+});
+
+// Applies the ?q, ?ext, ?minSize, ?maxSize, ?modifiedBefore and ?modifiedAfter
+// filters, then sorts and pages the result.
+export const listFiles = (files, query = {}) => {
+  const q = query.q ? String(query.q).toLowerCase() : "";
+  const exts = query.ext
+    ? new Set(
+        String(query.ext)
+          .split(",")
+          .map((ext) => ext.trim())
+          .filter(Boolean)
+          .map(normalizeExtension)
+      )
+    : null;
+  const minSize = toInt(query.minSize, null);
+  const maxSize = toInt(query.maxSize, null);
+  const before = toTime(query.modifiedBefore);
+  const after = toTime(query.modifiedAfter);
+
+  const filtered = files.filter((file) => {
+    if (q && !file.relativePath.toLowerCase().includes(q)) return false;
+    if (exts && !exts.has(extensionOf(file.relativePath))) return false;
+    if (minSize !== null && file.size < minSize) return false;
+    if (maxSize !== null && file.size > maxSize) return false;
+    if (before !== null && file.mtimeMs >= before) return false;
+    if (after !== null && file.mtimeMs <= after) return false;
+    return true;
+  });
+
+  const sortKey = Object.hasOwn(SORTERS, query.sort) ? query.sort : "size";
+  const direction = query.order === "asc" ? 1 : query.order === "desc" ? -1 : sortKey === "path" ? 1 : -1;
+  filtered.sort((a, b) => direction * SORTERS[sortKey](a, b));
+
+  const offset = Math.max(0, toInt(query.offset, 0));
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, toInt(query.limit, DEFAULT_PAGE_SIZE)));
+
+  return {
+    total: filtered.length,
+    totalBytes: reclaimableBytes(filtered),
+    offset,
+    limit,
+    sort: sortKey,
+    order: direction === 1 ? "asc" : "desc",
+    files: filtered.slice(offset, offset + limit)
+  };
+};
+
+// Turns a clean request body into the concrete files to remove.
+// `categories` selects whole categories, `exclude` maps a category id to
+// relative paths to leave alone, and `files` adds individual relative paths.
+// Only files the scan placed in a category can be selected; anything else is
+// returned in `skipped` with a reason, as is the keeper of a duplicate group
+// that would otherwise lose every copy.
+export const resolveCleanTargets = (scan, body = {}) => {
+  const categoryIds = Array.isArray(body.categories) ? body.categories : [];
+  const exclude = body.exclude && typeof body.exclude === "object" ? body.exclude : {};
+  const explicit = Array.isArray(body.files) ? body.files : [];
+
+  const byPath = new Map();
+  for (const list of Object.values(scan.categoryFiles)) {
+    for (const file of list) byPath.set(file.relativePath, file);
+  }
+
+  const selected = new Map();
+  const skipped = [];
+
+  for (const id of categoryIds) {
+    const list = categoryList(scan, id);
+    if (!list) {
+      skipped.push({ category: id, reason: "unknown category" });
+      continue;
+    }
+    const excluded = new Set(
+      (Array.isArray(exclude[id]) ? exclude[id] : []).map(normalizeRelative)
+    );
+    for (const file of list) {
+      if (!excluded.has(file.relativePath)) selected.set(file.relativePath, file);
+    }
+  }
+
+  for (const raw of explicit) {
+    const relative = normalizeRelative(raw);
+    const file = byPath.get(relative);
+    if (!file) {
+      skipped.push({ path: relative, reason: "not in a cleanup category" });
+      continue;
+    }
+    selected.set(relative, file);
+  }
+
+  const { files, kept } = keepOneCopy(Array.from(selected.values()));
+  for (const relative of kept) skipped.push({ path: relative, reason: "last copy" });
+
+  const categories = new Set(categoryIds.filter((id) => categoryList(scan, id)));
+  for (const file of files) categories.add(file.category);
+
+  return {
+    files,
+    categories: Array.from(categories),
+    skipped
+  };
+};
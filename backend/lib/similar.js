@@ -0,0 +1,251 @@
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { openWithoutAtime } from "./duplicates.js";
+
+export const SIMILAR_CATEGORY = {
+  id: "similar",
+  name: "Similar Photos",
+  description: "Burst shots and resized copies"
+};
+
+// Both hashes are 64 bits, so a threshold is the number of bits either hash
+// may differ by. 10 catches recompressed and resized copies and most burst
+// shots without pairing unrelated pictures.
+export const DEFAULT_SIMILAR_SETTINGS = { enabled: false, threshold: 10 };
+const MAX_THRESHOLD = 32;
+
+// Decoding is done in memory, so very large files and images are skipped.
+// A small PNG can still claim huge dimensions, so its header is checked
+// before decoding.
+const MAX_IMAGE_BYTES = 64 * 1024 * 1024;
+const MAX_MEGAPIXELS = 50;
+const JPEG_LIMITS = { maxResolutionInMP: MAX_MEGAPIXELS, maxMemoryUsageInMB: 256 };
+
+export const normalizeSimilarSettings = (settings) => ({
+  ...DEFAULT_SIMILAR_SETTINGS,
+  ...(settings && typeof settings === "object" ? settings : {})
+});
+
+export const validateSimilarSettings = (settings) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return "similarPhotos must be an object";
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== "boolean") {
+    return "similarPhotos.enabled must be a boolean";
+  }
+  const { threshold } = settings;
+  if (
+    threshold !== undefined &&
+    !(Number.isInteger(threshold) && threshold >= 0 && threshold <= MAX_THRESHOLD)
+  ) {
+    return `similarPhotos.threshold must be an integer from 0 to ${MAX_THRESHOLD}`;
+  }
+  return null;
+};
+
+// Width and height from the IHDR chunk, which must follow the signature.
+const pngSize = (buffer) => {
+  if (buffer.length < 24 || buffer.toString("latin1", 12, 16) !== "IHDR") {
+    throw new Error("PNG without an IHDR header");
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const decodePng = (buffer) => {
+  const { width, height } = pngSize(buffer);
+  if (width * height > MAX_MEGAPIXELS * 1000 * 1000) {
+    throw new Error(`PNG larger than ${MAX_MEGAPIXELS} MP`);
+  }
+  return { ...PNG.sync.read(buffer), channels: 4 };
+};
+
+// Decodes a sniffed PNG or JPEG into { width, height, channels, data }.
+const DECODERS = {
+  png: decodePng,
+  jpeg: (buffer) => ({
+    ...jpeg.decode(buffer, { ...JPEG_LIMITS, formatAsRGBA: false, useTArray: true }),
+    channels: 3
+  })
+};
+
+export const isHashableImage = (file) =>
+  Boolean(DECODERS[file.contentType]) && file.size > 0 && file.size <= MAX_IMAGE_BYTES;
+
+// Averages the image's luminance over a `columns` x `rows` grid.
+// Transparent pixels are blended onto white.
+const shrink = ({ width, height, channels, data }, columns, rows) => {
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+  for (let y = 0; y < height; y += 1) {
+    const row = Math.floor((y * rows) / height) * columns;
+    for (let x = 0; x < width; x += 1) {
+      const i = (y * width + x) * channels;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      const alpha = channels === 4 ? data[i + 3] / 255 : 1;
+      const cell = row + Math.floor((x * columns) / width);
+      sums[cell] += luma * alpha + 255 * (1 - alpha);
+      counts[cell] += 1;
+    }
+  }
+  return Array.from(sums, (sum, i) => sum / (counts[i] || 1));
+};
+
+const toHex = (bits) => {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+};
+
+// aHash: each cell of an 8x8 thumbnail against the mean.
+const averageHash = (image) => {
+  const cells = shrink(image, 8, 8);
+  const mean = cells.reduce((sum, value) => sum + value, 0) / cells.length;
+  return toHex(cells.map((value) => (value > mean ? 1 : 0)));
+};
+
+// dHash: each cell of a 9x8 thumbnail against its right-hand neighbour.
+const differenceHash = (image) => {
+  const cells = shrink(image, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) bits.push(cells[y * 9 + x] > cells[y * 9 + x + 1] ? 1 : 0);
+  }
+  return toHex(bits);
+};
+
+export const hashImage = (buffer, contentType) => {
+  const image = DECODERS[contentType](buffer);
+  return {
+    width: image.width,
+    height: image.height,
+    aHash: averageHash(image),
+    dHash: differenceHash(image)
+  };
+};
+
+// Reads and hashes one image. Files that fail to decode get null, which is
+// cached like a hash so they are not decoded again until they change.
+const readImageHash = async (file) => {
+  const handle = await openWithoutAtime(file.path);
+  let buffer;
+  try {
+    buffer = await handle.readFile();
+  } finally {
+    await handle.close();
+  }
+  try {
+    return hashImage(buffer, file.contentType);
+  } catch {
+    return null;
+  }
+};
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+const hexWords = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8), 16)];
+
+const bitDistance = (a, b) => popcount((a[0] ^ b[0]) >>> 0) + popcount((a[1] ^ b[1]) >>> 0);
+
+// Two images are as far apart as the worse of their two hashes.
+export const imageDistance = (a, b) =>
+  Math.max(
+    bitDistance(hexWords(a.aHash), hexWords(b.aHash)),
+    bitDistance(hexWords(a.dHash), hexWords(b.dHash))
+  );
+
+// The copy to keep has the most pixels, then the most bytes (the least
+// recompressed), then is the oldest.
+const byBestCopy = (a, b) =>
+  b.image.width * b.image.height - a.image.width * a.image.height ||
+  b.file.size - a.file.size ||
+  a.file.mtimeMs - b.file.mtimeMs ||
+  a.file.relativePath.localeCompare(b.file.relativePath);
+
+const wordDistance = (a, b) =>
+  Math.max(bitDistance(a.words[0], b.words[0]), bitDistance(a.words[1], b.words[1]));
+
+// A BK-tree over `wordDistance`, which is a metric, so a radius query only
+// visits the subtrees whose edge distance can still hold a match instead of
+// comparing every pair of images on every scan.
+const createBkTree = () => {
+  let root = null;
+  const add = (item) => {
+    if (!root) {
+      root = { item, children: new Map() };
+      return;
+    }
+    let node = root;
+    for (;;) {
+      const distance = wordDistance(item, node.item);
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { item, children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  };
+  const within = (item, radius) => {
+    const found = [];
+    const stack = root ? [root] : [];
+    while (stack.length) {
+      const node = stack.pop();
+      const distance = wordDistance(item, node.item);
+      if (distance <= radius) found.push({ ...node.item, distance });
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - radius && edge <= distance + radius) stack.push(child);
+      }
+    }
+    return found;
+  };
+  return { add, within };
+};
+
+// Groups PNG and JPEG files around the copy worth keeping. Hashes come from
+// `cache`, so only new or changed images are decoded. Images are taken best
+// first; each one not yet grouped keeps every other ungrouped image within
+// `threshold` bits of it, so every member is close to its group's keeper,
+// not just to some other member. Each group lists the keeper first and every
+// other member with its distance to it.
+export const findSimilarGroups = async (files, cache, { threshold }) => {
+  const hashed = [];
+  for (const file of files.filter(isHashableImage)) {
+    let image;
+    try {
+      image = await cache.remember(file, "image", readImageHash);
+    } catch {
+      continue;
+    }
+    if (image) {
+      hashed.push({ file, image, words: [hexWords(image.aHash), hexWords(image.dHash)] });
+    }
+  }
+  hashed.sort(byBestCopy);
+
+  const tree = createBkTree();
+  hashed.forEach((item, rank) => tree.add({ ...item, rank }));
+
+  const grouped = new Set();
+  const groups = [];
+  hashed.forEach((keep, rank) => {
+    if (grouped.has(rank)) return;
+    const others = tree
+      .within(keep, threshold)
+      .filter((item) => item.rank !== rank && !grouped.has(item.rank))
+      .sort((a, b) => a.rank - b.rank);
+    if (!others.length) return;
+    grouped.add(rank);
+    for (const item of others) grouped.add(item.rank);
+    groups.push({
+      keep: { file: keep.file, image: keep.image },
+      others: others.map(({ file, image, distance }) => ({ file, image, distance }))
+    });
+  });
+  return groups;
+};
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+
+// Replaces `filePath` in one step: the data goes to a temp file in the same
+// directory, is flushed to disk, and is then renamed over the target. A
+// crash leaves either the old file or the new one, never half of either.
+export const writeFileAtomic = (filePath, data, { mode } = {}) => {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  const fd = fs.openSync(tmpPath, "w", mode);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+};
+
+const parse = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+};
+
+// Keeps the JSON document in a file. Every save also leaves the previous
+// good version at `<file>.bak`; if the main file cannot be parsed (written
+// by an older, non-atomic version or damaged on disk) the backup is used
+// and the broken file is kept aside for inspection.
+export const createFileBackend = (filePath) => {
+  const backupPath = `${filePath}.bak`;
+
+  const read = () => {
+    if (!fs.existsSync(filePath)) return null;
+    const data = parse(fs.readFileSync(filePath, "utf-8"));
+    if (data !== undefined) return data;
+
+    const brokenPath = `${filePath}.broken-${Date.now()}`;
+    fs.renameSync(filePath, brokenPath);
+    const backup = fs.existsSync(backupPath)
+      ? parse(fs.readFileSync(backupPath, "utf-8"))
+      : undefined;
+    if (backup === undefined) {
+      console.warn(`${filePath} was unreadable and had no usable backup; moved to ${brokenPath}`);
+      return null;
+    }
+    console.warn(`${filePath} was unreadable; recovered from ${backupPath}, kept ${brokenPath}`);
+    writeFileAtomic(filePath, JSON.stringify(backup, null, 2));
+    return backup;
+  };
+
+  const write = (data) => {
+    if (fs.existsSync(filePath)) fs.copyFileSync(filePath, backupPath);
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  };
+
+  return { name: "file", read, write };
+};
+
+// Holds the document in memory only, e.g. for throwaway instances.
+export const createMemoryBackend = (initial = null) => {
+  let data = initial === null ? null : structuredClone(initial);
+  return {
+    name: "memory",
+    read: () => (data === null ? null : structuredClone(data)),
+    write: (next) => {
+      data = structuredClone(next);
+    }
+  };
+};
+
+// A store is a backend plus the shape of its document: `empty()` builds a
+// fresh document and `normalize(data)` fills in anything a stored one
+// lacks. Callers always get a private copy to modify and save back.
+//
+// A copy loaded before an `await` is stale by the time it is saved: whatever
+// another request saved in between is lost. Code that awaits file work does
+// it first and then applies its changes with `update`, which reloads,
+// mutates and saves in one synchronous step. This only orders writers
+// within one process; a CLI run alongside the server is not serialized.
+export const createStore = ({ backend, empty, normalize }) => {
+  const load = () => {
+    const data = backend.read();
+    return data === null ? empty() : normalize(data);
+  };
+  const save = (data) => backend.write(data);
+  const update = (mutate) => {
+    const data = load();
+    const result = mutate(data);
+    save(data);
+    return result;
+  };
+  return { backend: backend.name, load, save, update };
+};
@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import { validateActions } from "./actions.js";
+
+export const METRICS = ["totalUsedMB", "totalReclaimableMB"];
+const ACTIONS = ["webhook", "clean"];
+const KEEP_DELIVERIES = 20;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_BACKOFF_MS = 2000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const validateAction = (action) => {
+  if (!action || typeof action !== "object" || !ACTIONS.includes(action.type)) {
+    return `action.type must be one of: ${ACTIONS.join(", ")}`;
+  }
+  if (action.type === "webhook") {
+    let url;
+    try {
+      url = new URL(action.url);
+    } catch {
+      return "action.url must be a URL";
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return "action.url must use http or https";
+    }
+  }
+  if (action.type === "clean") {
+    if (
+      !Array.isArray(action.categories) ||
+      !action.categories.length ||
+      !action.categories.every((id) => typeof id === "string" && id)
+    ) {
+      return "action.categories must be a non-empty list of category ids";
+    }
+    if (action.simulated !== undefined && typeof action.simulated !== "boolean") {
+      return "action.simulated must be a boolean";
+    }
+    const actionsError = validateActions(action.actions);
+    if (actionsError) return `action.${actionsError}`;
+  }
+  return null;
+};
+
+export const validateThreshold = (body, { roots, partial = false }) => {
+  if (!body || typeof body !== "object") return "body must be an object";
+  if (body.name !== undefined && (typeof body.name !== "string" || !body.name.trim())) {
+    return "name must be a non-empty string";
+  }
+  if ((!partial || body.root !== undefined) && !roots.some((root) => root.id === body.root)) {
+    return `Unknown root: ${body.root}`;
+  }
+  if ((!partial || body.metric !== undefined) && !METRICS.includes(body.metric)) {
+    return `metric must be one of: ${METRICS.join(", ")}`;
+  }
+  if (!partial || body.thresholdMB !== undefined) {
+    if (!Number.isFinite(body.thresholdMB) || body.thresholdMB < 0) {
+      return "thresholdMB must be a non-negative number";
+    }
+  }
+  if (!partial || body.action !== undefined) return validateAction(body.action);
+  return null;
+};
+
+const normalizeAction = (action) =>
+  action.type === "webhook"
+    ? { type: "webhook", url: action.url }
+    : {
+        type: "clean",
+        categories: action.categories,
+        simulated: action.simulated !== false,
+        actions: action.actions || {}
+      };
+
+export const createThreshold = (body) => ({
+  id: `alert_${crypto.randomBytes(4).toString("hex")}`,
+  name: body.name?.trim() || `${body.metric} over ${body.thresholdMB} MB`,
+  root: body.root,
+  metric: body.metric,
+  thresholdMB: body.thresholdMB,
+  action: normalizeAction(body.action),
+  state: "ok",
+  valueMB: null,
+  checkedAt: null,
+  firedAt: null,
+  resolvedAt: null,
+  deliveries: []
+});
+
+// Changing what is measured or where starts the alert over from "ok".
+export const updateThreshold = (threshold, body) => {
+  const next = { ...threshold };
+  if (body.name !== undefined) next.name = body.name.trim();
+  for (const key of ["root", "metric", "thresholdMB"]) {
+    if (body[key] !== undefined) next[key] = body[key];
+  }
+  if (body.action !== undefined) next.action = normalizeAction(body.action);
+  if (next.root !== threshold.root || next.metric !== threshold.metric) {
+    Object.assign(next, { state: "ok", valueMB: null, firedAt: null, resolvedAt: null });
+  }
+  return next;
+};
+
+// Compares a scan with a threshold. An alert fires when the value reaches
+// the mark and resolves once it drops below again; `transition` is only set
+// when the state changes.
+export const evaluateThreshold = (threshold, scan) => {
+  const valueMB = scan[threshold.metric];
+  const state = valueMB >= threshold.thresholdMB ? "firing" : "ok";
+  return {
+    valueMB,
+    state,
+    transition:
+      state === threshold.state ? null : state === "firing" ? "firing" : "resolved"
+  };
+};
+
+export const appendDelivery = (deliveries, delivery) =>
+  [delivery, ...deliveries.filter((item) => item.id !== delivery.id)].slice(0, KEEP_DELIVERIES);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// POSTs `payload` as JSON, retrying failed attempts with exponential
+// backoff. Any 2xx response counts as delivered. `onAttempt` receives the
+// delivery record after every attempt so callers can persist progress.
+export const deliverWebhook = async (url, payload, { onAttempt } = {}) => {
+  const delivery = {
+    id: `delivery_${crypto.randomBytes(4).toString("hex")}`,
+    event: payload.event,
+    url,
+    status: "pending",
+    attempts: []
+  };
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt += 1) {
+    const record = { time: new Date().toISOString(), status: null, error: null };
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      record.status = res.status;
+      if (!res.ok) record.error = `HTTP ${res.status}`;
+    } catch (err) {
+      record.error = err.message;
+    }
+    delivery.attempts.push(record);
+    if (!record.error) delivery.status = "delivered";
+    else delivery.status = attempt === WEBHOOK_ATTEMPTS ? "failed" : "retrying";
+    if (onAttempt) onAttempt(delivery);
+    if (!record.error) break;
+    if (attempt < WEBHOOK_ATTEMPTS) await wait(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+  }
+  return delivery;
+};
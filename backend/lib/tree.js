@@ -0,0 +1,102 @@
+import path from "path";
+import { toInt } from "./helpers.js";
+import { oneLinkPerInode } from "./links.js";
+import { describeFile, normalizeRelative } from "./selection.js";
+
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 8;
+const DEFAULT_TOP = 20;
+const MAX_TOP = 500;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Resolves ?path to a directory relative to the root. Returns null for a
+// path that climbs out of the root.
+export const resolveTreePath = (value) => {
+  if (!value) return "";
+  const relative = normalizeRelative(value).replace(/[/\\]+$/, "");
+  if (relative === ".") return "";
+  if (relative === ".." || relative.startsWith(`..${path.sep}`)) return null;
+  return relative;
+};
+
+const emptyNode = (relativePath) => ({
+  path: relativePath,
+  name: relativePath ? path.basename(relativePath) : "",
+  size: 0,
+  files: 0,
+  children: new Map()
+});
+
+const finish = (node, depth) => ({
+  path: node.path,
+  name: node.name,
+  size: node.size,
+  files: node.files,
+  ...(depth > 0
+    ? {
+        children: Array.from(node.children.values())
+          .map((child) => finish(child, depth - 1))
+          .sort((a, b) => b.size - a.size)
+      }
+    : { truncated: node.children.size > 0 })
+});
+
+// Sums sizes and file counts per directory below `base`, `depth` levels
+// deep. Sizes are totals of everything underneath, not just the next
+// level. Hard links count once, at the first path indexed for the inode.
+// Returns null when nothing was indexed under `base`.
+export const buildTree = (files, { base = "", depth } = {}) => {
+  const levels = clamp(toInt(depth, DEFAULT_DEPTH), 0, MAX_DEPTH);
+  const prefix = base ? `${base}${path.sep}` : "";
+  const root = emptyNode(base);
+  let found = false;
+
+  for (const file of oneLinkPerInode(files)) {
+    if (prefix && !file.relativePath.startsWith(prefix)) continue;
+    found = true;
+    const parts = path.dirname(file.relativePath.slice(prefix.length)).split(path.sep);
+    let node = root;
+    node.size += file.size;
+    node.files += 1;
+    for (const part of parts) {
+      if (part === ".") break;
+      if (!node.children.has(part)) node.children.set(part, emptyNode(path.join(node.path, part)));
+      node = node.children.get(part);
+      node.size += file.size;
+      node.files += 1;
+    }
+  }
+
+  return found ? { depth: levels, tree: finish(root, levels) } : null;
+};
+
+// The `limit` largest files and the `limit` largest directories (by total
+// size of everything below them) anywhere under the root.
+export const largestEntries = (files, { limit } = {}) => {
+  const top = clamp(toInt(limit, DEFAULT_TOP), 1, MAX_TOP);
+  const unique = oneLinkPerInode(files);
+  const directories = new Map();
+
+  for (const file of unique) {
+    let dir = path.dirname(file.relativePath);
+    while (dir !== ".") {
+      const entry = directories.get(dir) || { path: dir, size: 0, files: 0 };
+      entry.size += file.size;
+      entry.files += 1;
+      directories.set(dir, entry);
+      dir = path.dirname(dir);
+    }
+  }
+
+  return {
+    limit: top,
+    files: [...unique]
+      .sort((a, b) => b.size - a.size)
+      .slice(0, top)
+      .map(describeFile),
+    directories: Array.from(directories.values())
+      .sort((a, b) => b.size - a.size)
+      .slice(0, top)
+  };
+};
@@ -0,0 +1,137 @@
+import fs from "fs";
+import { writeFileAtomic } from "./store.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Each tier keeps the latest snapshot per bucket for snapshots younger than
+// `maxAge`: minute resolution for two days, hourly for a month, then daily
+// until the retention limit. No tier reaches past the retention limit, so a
+// retention shorter than a month still drops older snapshots.
+const tiersFor = (retentionDays) => {
+  const retention = retentionDays * DAY;
+  return [
+    { maxAge: Math.min(2 * DAY, retention), bucket: MINUTE },
+    { maxAge: Math.min(30 * DAY, retention), bucket: HOUR },
+    { maxAge: retention, bucket: DAY }
+  ];
+};
+
+const WINDOWS = { "24h": DAY, "7d": 7 * DAY, "30d": 30 * DAY, "90d": 90 * DAY, "365d": 365 * DAY };
+const DEFAULT_WINDOW = "30d";
+
+// Minimum time between the first and last point before a growth rate is
+// worth reporting.
+const MIN_GROWTH_SPAN = HOUR;
+
+export const snapshotFromScan = (scan) => ({
+  time: scan.lastScan || new Date().toISOString(),
+  root: scan.root,
+  totalUsedMB: scan.totalUsedMB,
+  totalReclaimableMB: scan.totalReclaimableMB,
+  categories: Object.fromEntries(scan.categories.map((category) => [category.id, category.sizeMB]))
+});
+
+// Drops snapshots past retention and thins the rest per tier. Works per
+// root, so a busy root cannot push out another root's history.
+export const downsample = (snapshots, { retentionDays, now = Date.now() }) => {
+  const tiers = tiersFor(retentionDays);
+  const kept = new Map();
+  for (const snapshot of snapshots) {
+    const time = Date.parse(snapshot.time);
+    const age = now - time;
+    const tier = tiers.find((item) => age < item.maxAge);
+    if (!tier) continue;
+    const key = `${snapshot.root}:${tier.bucket}:${Math.floor(time / tier.bucket)}`;
+    const current = kept.get(key);
+    if (!current || Date.parse(current.time) <= time) kept.set(key, snapshot);
+  }
+  return Array.from(kept.values()).sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+export const createTrendStore = (trendsPath, { retentionDays }) => {
+  let snapshots = [];
+  if (fs.existsSync(trendsPath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(trendsPath, "utf-8"));
+      snapshots = Array.isArray(data.snapshots) ? data.snapshots : [];
+    } catch {
+      snapshots = [];
+    }
+  }
+
+  const record = (snapshot) => {
+    snapshots = downsample([...snapshots, snapshot], { retentionDays });
+    writeFileAtomic(trendsPath, JSON.stringify({ snapshots }));
+  };
+
+  const between = (rootId, from, to) =>
+    snapshots.filter((snapshot) => {
+      const time = Date.parse(snapshot.time);
+      return snapshot.root === rootId && time >= from && time <= to;
+    });
+
+  return { record, between };
+};
+
+// Turns ?window (24h, 7d, 30d, 90d, 365d) or ?from / ?to into a time range,
+// or returns `{ error }`.
+export const parseTrendWindow = (query = {}, now = Date.now()) => {
+  const to = query.to ? Date.parse(query.to) : now;
+  if (!Number.isFinite(to)) return { error: "to must be a date" };
+  if (query.from) {
+    const from = Date.parse(query.from);
+    if (!Number.isFinite(from)) return { error: "from must be a date" };
+    if (from > to) return { error: "from must be before to" };
+    return { from, to, window: null };
+  }
+  const window = query.window || DEFAULT_WINDOW;
+  if (!WINDOWS[window]) {
+    return { error: `window must be one of: ${Object.keys(WINDOWS).join(", ")}` };
+  }
+  return { from: to - WINDOWS[window], to, window };
+};
+
+// Least-squares slope of `totalUsedMB` over time, in MB per day. Null when
+// there are too few points or they span too little time to say anything.
+export const growthPerDay = (points) => {
+  if (points.length < 2) return null;
+  const xs = points.map((point) => Date.parse(point.time) / DAY);
+  if ((xs[xs.length - 1] - xs[0]) * DAY < MIN_GROWTH_SPAN) return null;
+  const ys = points.map((point) => point.totalUsedMB);
+  const meanX = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const meanY = ys.reduce((s, y) => s + y, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i += 1) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  return den ? num / den : null;
+};
+
+// Days until `usedMB` reaches `capacityMB` at the given growth rate, or
+// null when usage is flat, shrinking or the capacity is unknown.
+export const daysToCapacity = (usedMB, capacityMB, mbPerDay) => {
+  if (!capacityMB || !mbPerDay || mbPerDay <= 0) return null;
+  return Math.max(0, (capacityMB - usedMB) / mbPerDay);
+};
+
+// Splits snapshots into a totals series and one series per category.
+export const toSeries = (snapshots) => {
+  const categories = {};
+  for (const snapshot of snapshots) {
+    for (const [id, sizeMB] of Object.entries(snapshot.categories || {})) {
+      (categories[id] ||= []).push({ time: snapshot.time, sizeMB });
+    }
+  }
+  return {
+    points: snapshots.map(({ time, totalUsedMB, totalReclaimableMB }) => ({
+      time,
+      totalUsedMB,
+      totalReclaimableMB
+    })),
+    categories
+  };
+};
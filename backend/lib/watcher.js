@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+
+// Errors that mean the OS will not give us (more) watches. Anything else
+// from the watcher is treated the same way: polling is always safe.
+const LIMIT_ERRORS = new Set(["ENOSPC", "EMFILE", "ENFILE"]);
+
+// Watches a root recursively and calls `onChange(absPaths)` once events
+// have been quiet for `debounceMs`, or at the latest after `maxWaitMs` of
+// constant activity. `absPaths` is null when the OS did not say what
+// changed. If watching is impossible or fails later (typically inotify's
+// watch limit), the watcher closes and `onChange(null)` is called every
+// `pollMs` instead; `onStatus` hears about every such switch. `watch`
+// stands in for fs.watch in tests.
+export const createRootWatcher = ({
+  rootPath,
+  ignore = () => false,
+  debounceMs = 1000,
+  maxWaitMs = 10 * 1000,
+  pollMs = 5 * 60 * 1000,
+  onChange,
+  onStatus = () => {},
+  watch = fs.watch
+}) => {
+  let watcher = null;
+  let pollTimer = null;
+  let debounceTimer = null;
+  let firstEventAt = 0;
+  let pending = new Set();
+  let unknown = false;
+  let status = { mode: "stopped", reason: null, since: new Date().toISOString() };
+
+  const setStatus = (mode, reason = null) => {
+    status = { mode, reason, since: new Date().toISOString() };
+    onStatus(status);
+  };
+
+  const flush = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    firstEventAt = 0;
+    const paths = unknown ? null : Array.from(pending);
+    pending = new Set();
+    unknown = false;
+    onChange(paths);
+  };
+
+  const queue = (filename) => {
+    if (filename) {
+      const absPath = path.join(rootPath, filename.toString());
+      if (ignore(absPath)) return;
+      pending.add(absPath);
+    } else {
+      unknown = true;
+    }
+    const now = Date.now();
+    if (!firstEventAt) firstEventAt = now;
+    clearTimeout(debounceTimer);
+    const wait = Math.min(debounceMs, Math.max(0, firstEventAt + maxWaitMs - now));
+    debounceTimer = setTimeout(flush, wait);
+  };
+
+  const poll = (reason) => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    if (pollTimer) return;
+    pollTimer = setInterval(() => onChange(null), pollMs);
+    pollTimer.unref();
+    setStatus("polling", reason);
+  };
+
+  const fail = (err) => {
+    const reason = err.code || err.message;
+    const limit = LIMIT_ERRORS.has(err.code) ? ", OS watch limit reached" : "";
+    console.warn(`Watching ${rootPath} failed (${reason}${limit}); falling back to rescans`);
+    poll(reason);
+  };
+
+  const start = () => {
+    if (watcher || pollTimer) return;
+    try {
+      watcher = watch(rootPath, { recursive: true }, (event, filename) => queue(filename));
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    watcher.on("error", fail);
+    setStatus("watching");
+  };
+
+  const stop = () => {
+    if (watcher) watcher.close();
+    watcher = null;
+    clearInterval(pollTimer);
+    pollTimer = null;
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    setStatus("stopped");
+  };
+
+  return { start, stop, status: () => status };
+};
@@ -0,0 +1,128 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import {
+  actionFor,
+  archiveFile,
+  archiveFreesSpace,
+  compressFile,
+  validateActions
+} from "../lib/actions.js";
+import { moveFile } from "../lib/quarantine.js";
+
+let tmp;
+let root;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-actions-"));
+  root = path.join(tmp, "root");
+  fs.mkdirSync(path.join(root, "logs"), { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const writeFile = (relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, relativePath, size: Buffer.byteLength(content) };
+};
+
+describe("validateActions", () => {
+  const cases = [
+    [undefined, null],
+    [{ logs: "compress", downloads: "archive" }, null],
+    [{ logs: "shred" }, "actions.logs must be one of: delete, compress, archive"],
+    [{ duplicates: "archive" }, "actions.duplicates can only be delete"],
+    [["compress"], "actions must map category ids to an action"]
+  ];
+  for (const [actions, expected] of cases) {
+    test(`${JSON.stringify(actions)} -> ${expected}`, () => {
+      assert.equal(validateActions(actions), expected);
+    });
+  }
+
+  test("categories without an action are deleted", () => {
+    assert.equal(actionFor({ category: "logs" }, { logs: "compress" }), "compress");
+    assert.equal(actionFor({ category: "cache" }, { logs: "compress" }), "delete");
+  });
+});
+
+describe("compressFile", () => {
+  test("replaces the file with a smaller gzip copy that keeps its mtime", async () => {
+    const text = "the same line over and over\n".repeat(500);
+    const file = writeFile("logs/app.log", text);
+    const mtime = new Date("2026-01-02T03:04:05.000Z");
+    fs.utimesSync(file.path, mtime, mtime);
+
+    const result = await compressFile(file);
+    assert.equal(result.ok, true);
+    assert.equal(result.outputPath, `${file.path}.gz`);
+    assert.ok(result.size < file.size);
+    assert.equal(fs.existsSync(file.path), false);
+    assert.equal(zlib.gunzipSync(fs.readFileSync(result.outputPath)).toString(), text);
+    assert.equal(fs.statSync(result.outputPath).mtimeMs, mtime.getTime());
+  });
+
+  test("keeps the original when gzip does not help", async () => {
+    const file = writeFile("logs/random.bin", crypto.randomBytes(256));
+    assert.deepEqual(await compressFile(file), { ok: false, reason: "not compressible" });
+    assert.equal(fs.existsSync(file.path), true);
+    assert.equal(fs.existsSync(`${file.path}.gz`), false);
+  });
+
+  test("never overwrites an existing output", async () => {
+    const file = writeFile("logs/old.log", "x".repeat(1000));
+    fs.writeFileSync(`${file.path}.gz`, "earlier output");
+    assert.deepEqual(await compressFile(file), { ok: false, reason: "output exists" });
+    assert.equal(fs.readFileSync(`${file.path}.gz`, "utf-8"), "earlier output");
+    assert.equal(fs.existsSync(file.path), true);
+  });
+});
+
+describe("archiveFile", () => {
+  test("moves the file under the archive, keeping its relative path", async () => {
+    const dir = path.join(tmp, "archive-a");
+    const file = writeFile("downloads/report.pdf", "first");
+    const result = await archiveFile(file, { dir, runId: "clean_1", moveFile });
+    assert.deepEqual(result, { ok: true, archivedPath: path.join(dir, "downloads/report.pdf") });
+    assert.equal(fs.existsSync(file.path), false);
+    assert.equal(fs.readFileSync(result.archivedPath, "utf-8"), "first");
+  });
+
+  test("adds the run id when the path is taken, and gives up after that", async () => {
+    const dir = path.join(tmp, "archive-b");
+    for (const runId of ["clean_1", "clean_2"]) {
+      await archiveFile(writeFile("downloads/report.pdf", runId), { dir, runId, moveFile });
+    }
+    assert.equal(
+      fs.readFileSync(path.join(dir, "downloads/report.clean_2.pdf"), "utf-8"),
+      "clean_2"
+    );
+
+    const file = writeFile("downloads/report.pdf", "third");
+    const result = await archiveFile(file, { dir, runId: "clean_2", moveFile });
+    assert.deepEqual(result, { ok: false, reason: "archive path exists" });
+    assert.equal(fs.existsSync(file.path), true);
+  });
+});
+
+describe("archiveFreesSpace", () => {
+  test("a move within one filesystem frees nothing", async () => {
+    const dir = path.join(tmp, "archive-c", "nested");
+    const stat = fs.statSync(root);
+    assert.equal(await archiveFreesSpace(dir, stat), false);
+    assert.equal(fs.statSync(dir).isDirectory(), true);
+  });
+
+  test("a move to another device frees the file", async () => {
+    const stat = { ...fs.statSync(root), dev: -1 };
+    assert.equal(await archiveFreesSpace(path.join(tmp, "archive-d"), stat), true);
+  });
+});
@@ -0,0 +1,59 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAuditLog, csvRow, parseAuditQuery } from "../lib/audit.js";
+
+let tmp;
+let log;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-audit-"));
+  log = createAuditLog(path.join(tmp, "audit.jsonl"));
+  log.append([
+    { time: "2026-01-01T00:00:00.000Z", runId: "r1", root: "default", action: "quarantine", path: "cache/a.tmp", result: "ok" },
+    { time: "2026-01-02T00:00:00.000Z", runId: "r1", root: "default", action: "quarantine", path: "logs/b.log", result: "failed", error: "EACCES" }
+  ]);
+  log.append([
+    { time: "2026-01-03T00:00:00.000Z", runId: "r2", root: "media", action: "restore", path: "cache/a.tmp", result: "ok" }
+  ]);
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const query = (params) => log.query(parseAuditQuery(params).filter, params);
+
+describe("audit log", () => {
+  test("returns records newest first", async () => {
+    const { total, records } = await query({});
+    assert.equal(total, 3);
+    assert.deepEqual(records.map((r) => r.time.slice(0, 10)), ["2026-01-03", "2026-01-02", "2026-01-01"]);
+  });
+
+  test("filters by path prefix, run and time range", async () => {
+    assert.equal((await query({ path: "/cache/" })).total, 2);
+    assert.equal((await query({ run: "r1" })).total, 2);
+    const { records } = await query({ from: "2026-01-02", to: "2026-01-02T23:59:59Z" });
+    assert.deepEqual(records.map((r) => r.path), ["logs/b.log"]);
+  });
+
+  test("fills missing columns with null", async () => {
+    const { records } = await query({ run: "r2" });
+    assert.equal(records[0].hash, null);
+    assert.equal(records[0].error, null);
+  });
+
+  test("rejects unparseable dates", () => {
+    assert.match(parseAuditQuery({ to: "soon" }).error, /to/);
+  });
+});
+
+describe("csvRow", () => {
+  test("quotes cells containing commas, quotes or newlines", () => {
+    const row = csvRow({ time: "t", path: 'a,"b"\nc', size: 0, error: null });
+    assert.equal(row, 't,,,,"a,""b""\nc",0,,,,\n');
+  });
+});
@@ -0,0 +1,168 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createAuth,
+  createTokenStore,
+  roleAllows,
+  validateTokenRequest
+} from "../lib/auth.js";
+
+let tmp;
+let counter = 0;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-auth-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const tokensPath = () => path.join(tmp, `tokens-${(counter += 1)}.json`);
+
+// Runs the middleware against a minimal request and reports what it did.
+const call = (middleware, { token, method = "GET", query = {}, scheme = "Bearer" } = {}) => {
+  const headers = token ? { authorization: `${scheme} ${token}` } : {};
+  const req = { method, query, get: (name) => headers[name.toLowerCase()] };
+  const outcome = { status: null, body: null, next: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+    }
+  };
+  middleware(req, res, () => {
+    outcome.next = true;
+  });
+  return { ...outcome, identity: req.identity };
+};
+
+describe("roleAllows", () => {
+  const cases = [
+    ["read", "read", true],
+    ["read", "operator", false],
+    ["operator", "read", true],
+    ["operator", "admin", false],
+    ["admin", "operator", true],
+    ["root", "read", false],
+    [undefined, "read", false]
+  ];
+  for (const [role, required, expected] of cases) {
+    test(`${role} for ${required} -> ${expected}`, () => {
+      assert.equal(roleAllows(role, required), expected);
+    });
+  }
+});
+
+describe("requireRole", () => {
+  let store;
+  let requireRole;
+  const secrets = {};
+
+  before(() => {
+    store = createTokenStore(tokensPath());
+    requireRole = createAuth(store);
+    for (const role of ["read", "operator", "admin"]) {
+      secrets[role] = store.create({ name: role, role }).token;
+    }
+  });
+
+  test("no token is a 401", () => {
+    const result = call(requireRole("read"));
+    assert.equal(result.status, 401);
+    assert.equal(result.next, false);
+  });
+
+  test("an unknown token is a 401", () => {
+    assert.equal(call(requireRole("read"), { token: "sct_nope" }).status, 401);
+  });
+
+  test("a role below the one required is a 403", () => {
+    const result = call(requireRole("operator"), { token: secrets.read });
+    assert.equal(result.status, 403);
+    assert.deepEqual(result.body, { error: "This action needs the operator role" });
+  });
+
+  test("a sufficient role passes with its identity", () => {
+    const result = call(requireRole("operator"), { token: secrets.admin });
+    assert.equal(result.next, true);
+    assert.equal(result.identity.role, "admin");
+    assert.equal(result.identity.hash, undefined);
+  });
+
+  test("only event streams take the token as access_token", () => {
+    const query = { access_token: secrets.read };
+    const events = requireRole("read", { queryToken: true });
+    assert.equal(call(events, { query }).next, true);
+    assert.equal(call(events, { method: "POST", query }).status, 401);
+    assert.equal(call(requireRole("read"), { query }).status, 401);
+    assert.equal(call(requireRole("admin"), { query: { access_token: secrets.admin } }).status, 401);
+  });
+
+  test("only bearer tokens are read from the header", () => {
+    assert.equal(call(requireRole("read"), { token: secrets.read, scheme: "Basic" }).status, 401);
+  });
+
+  test("a revoked token is a 401 from then on", () => {
+    const { token, record } = store.create({ name: "temp", role: "admin" });
+    assert.equal(call(requireRole("admin"), { token }).next, true);
+    const revoked = store.revoke(record.id);
+    assert.ok(revoked.revokedAt);
+    assert.equal(store.revoke(record.id).revokedAt, revoked.revokedAt);
+    assert.equal(call(requireRole("read"), { token }).status, 401);
+    assert.equal(store.revoke("tok_missing"), null);
+  });
+});
+
+describe("token store", () => {
+  test("only hashes are written to disk and they survive a reload", () => {
+    const filePath = tokensPath();
+    const { token, record } = createTokenStore(filePath).create({ name: "ci", role: "read" });
+    assert.ok(token.startsWith("sct_"));
+    assert.ok(!fs.readFileSync(filePath, "utf-8").includes(token));
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.equal(createTokenStore(filePath).verify(token).id, record.id);
+  });
+
+  test("bootstrap creates one admin token and then nothing", () => {
+    const filePath = tokensPath();
+    const first = createTokenStore(filePath).bootstrap();
+    assert.equal(first.record.role, "admin");
+    const reloaded = createTokenStore(filePath);
+    assert.equal(reloaded.bootstrap(), null);
+    assert.equal(reloaded.verify(first.token).id, first.record.id);
+  });
+
+  test("bootstrap issues a new admin token once the last one is revoked", () => {
+    const store = createTokenStore(tokensPath());
+    const first = store.bootstrap();
+    store.revoke(first.record.id);
+    const second = store.bootstrap();
+    assert.notEqual(second.token, first.token);
+    assert.equal(store.verify(first.token), null);
+  });
+
+  test("a fixed secret is registered once and never returned", () => {
+    const store = createTokenStore(tokensPath());
+    const first = store.bootstrap("sct_from_env");
+    assert.equal(first.token, null);
+    assert.equal(store.bootstrap("sct_from_env").record.id, first.record.id);
+    assert.equal(store.list().length, 1);
+    assert.equal(store.verify("sct_from_env").role, "admin");
+  });
+
+  test("a token request needs a name and a known role", () => {
+    assert.equal(validateTokenRequest({ name: "ci", role: "read" }), null);
+    assert.equal(validateTokenRequest({ name: " ", role: "read" }), "name is required");
+    assert.equal(
+      validateTokenRequest({ name: "ci", role: "root" }),
+      "role must be one of: read, operator, admin"
+    );
+  });
+});
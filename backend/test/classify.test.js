@@ -0,0 +1,179 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import {
+  DEFAULT_AGE_RULES,
+  DEFAULT_RULES,
+  compileRules,
+  directoriesOf,
+  extensionOf,
+  isStale,
+  pathFromDeviceUri
+} from "../../shared/classify.js";
+import { defaultAgeRules } from "../lib/age.js";
+
+const NOW = Date.parse("2026-06-01T12:00:00.000Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+const classifyDefault = compileRules(DEFAULT_RULES);
+const categoryOf = (relativePath, classify = classifyDefault, file = {}) =>
+  classify({ relativePath, size: 1024, mtimeMs: NOW, ...file }, NOW)?.category ?? null;
+
+describe("default rules", () => {
+  const cases = [
+    ["cache/thumbs/a.png", "cache"],
+    ["app/tmp/session.bin", "cache"],
+    ["App/Cache/data.log", "cache"],
+    ["downloads/setup.exe", "downloads"],
+    ["Download/photo.jpg", "downloads"],
+    ["home/Downloads/report.pdf", "downloads"],
+    ["downloads/movie.mp4", "downloads"],
+    ["my-downloads/notes.txt", null],
+    ["downloader/notes.txt", null],
+    ["downloads", null],
+    ["videos/clip.MP4", "media"],
+    ["backup.tar.gz", "media"],
+    ["disk.iso", "media"],
+    ["var/log/syslog.log", "logs"],
+    [".log", null],
+    ["logs/.log", null],
+    ["notes.txt", null],
+    ["cache.mp4", "media"],
+    ["tmp.log", "logs"],
+    ["backup\\old.zip", "media"],
+    ["windows\\Temp\\cache\\x.dat", "cache"],
+    ["./cache/a.bin", "cache"],
+    ["photos/IMG_0001.JPG", "images"],
+    ["music/track.flac", "audio"],
+    ["apps/game.apk", "installers"],
+    ["setup.exe", "installers"],
+    ["report.docx", null]
+  ];
+
+  for (const [relativePath, expected] of cases) {
+    test(`${relativePath} -> ${expected}`, () => {
+      assert.equal(categoryOf(relativePath), expected);
+    });
+  }
+});
+
+describe("sniffed content", () => {
+  const cases = [
+    ["movie", "mp4", "media"],
+    ["clip.dat", "matroska", "media"],
+    ["holiday.mp4", "jpeg", "images"],
+    ["voice-note", "m4a", "audio"],
+    ["update.bin", "apk", "installers"],
+    ["report.docx", "zip", null],
+    ["downloads/movie", "mp4", "downloads"],
+    ["notes.txt", null, null]
+  ];
+
+  for (const [relativePath, contentType, expected] of cases) {
+    test(`${relativePath} holding ${contentType} -> ${expected}`, () => {
+      assert.equal(categoryOf(relativePath, classifyDefault, { contentType }), expected);
+    });
+  }
+});
+
+describe("device URIs", () => {
+  const base = "content://com.android.externalstorage.documents/tree/primary%3ADownload/document/";
+  const cases = [
+    [`${base}primary%3ADownload%2Fclip.mp4`, "Download/clip.mp4", "downloads"],
+    [`${base}primary%3AMovies%2Fclip.mp4`, "Movies/clip.mp4", "media"],
+    [`${base}primary%3AAndroid%2Fdata%2Fapp%2Fcache%2Fx`, "Android/data/app/cache/x", "cache"],
+    [`${base}1A2B-3C4D%3Alogs%2Fapp.log`, "logs/app.log", "logs"],
+    ["file:///storage/emulated/0/Download/a.zip", "storage/emulated/0/Download/a.zip", "downloads"]
+  ];
+
+  for (const [uri, expectedPath, expectedCategory] of cases) {
+    test(`${expectedPath} -> ${expectedCategory}`, () => {
+      const relativePath = pathFromDeviceUri(uri);
+      assert.equal(relativePath, expectedPath);
+      assert.equal(categoryOf(relativePath), expectedCategory);
+    });
+  }
+});
+
+// Both scans count a file as reclaimable only once its category's age rule
+// says it is stale.
+describe("default age rules", () => {
+  const reclaimable = (relativePath, file) => {
+    const category = categoryOf(relativePath, classifyDefault, file);
+    return category && isStale({ size: 1, ...file }, DEFAULT_AGE_RULES[category], NOW)
+      ? category
+      : null;
+  };
+  const cases = [
+    ["logs/app.log", { mtimeMs: NOW }, null],
+    ["logs/app.log", { mtimeMs: NOW - 13 * DAY }, null],
+    ["logs/app.log", { mtimeMs: NOW - 14 * DAY }, "logs"],
+    ["logs/app.log", { mtimeMs: NOW - 20 * DAY, atimeMs: NOW }, "logs"],
+    ["cache/a.bin", { mtimeMs: NOW - 5 * DAY }, "cache"],
+    ["cache/a.bin", { mtimeMs: NOW - 5 * DAY, atimeMs: NOW - DAY }, null],
+    ["cache/a.bin", { mtimeMs: NOW - DAY }, null],
+    ["Download/a.pdf", { mtimeMs: NOW - 29 * DAY }, null],
+    ["Download/a.pdf", { mtimeMs: NOW - 31 * DAY }, "downloads"],
+    ["Download/a.pdf", { mtimeMs: NOW - 31 * DAY, atimeMs: NOW - 2 * DAY }, null],
+    ["videos/clip.mp4", { mtimeMs: NOW }, "media"]
+  ];
+
+  for (const [relativePath, file, expected] of cases) {
+    test(`${relativePath} ${JSON.stringify(file)} -> ${expected}`, () => {
+      assert.equal(reclaimable(relativePath, file), expected);
+    });
+  }
+
+  test("the backend starts from the shared rules", () => {
+    assert.deepEqual(defaultAgeRules(), DEFAULT_AGE_RULES);
+  });
+});
+
+describe("rule criteria", () => {
+  const rule = (match) => compileRules([{ id: "r", category: "c", name: "C", match }]);
+  const cases = [
+    [{ glob: ["**/*.bak"] }, "a/b/file.bak", {}, "c"],
+    [{ glob: ["*.bak"] }, "a/b/file.bak", {}, "c"],
+    [{ glob: ["a/*.bak"] }, "a/b/file.bak", {}, null],
+    [{ extensions: ["BAK"] }, "file.Bak", {}, "c"],
+    [{ directories: ["Build"] }, "src/build/out.o", {}, "c"],
+    [{ directories: ["build"] }, "build", {}, null],
+    [{ pathPrefix: "/var/cache" }, "var/cache/x", {}, "c"],
+    [{ minSize: 2048 }, "a", { size: 1024 }, null],
+    [{ maxSize: 2048 }, "a", { size: 1024 }, "c"],
+    [{ minAgeDays: 7 }, "a", { mtimeMs: NOW - 8 * DAY }, "c"],
+    [{ minAgeDays: 7 }, "a", { mtimeMs: NOW - 6 * DAY }, null],
+    [{ minAgeDays: 7, ageBasis: "atime" }, "a", { mtimeMs: NOW - 8 * DAY, atimeMs: NOW }, null],
+    [{ extensions: [".log"], minSize: 10 }, "a.log", { size: 5 }, null]
+  ];
+
+  for (const [match, relativePath, file, expected] of cases) {
+    test(`${JSON.stringify(match)} on ${relativePath} -> ${expected}`, () => {
+      assert.equal(categoryOf(relativePath, rule(match), file), expected);
+    });
+  }
+
+  test("the first matching enabled rule wins", () => {
+    const classify = compileRules([
+      { id: "off", category: "a", name: "A", enabled: false, match: { extensions: [".log"] } },
+      { id: "logs", category: "b", name: "B", match: { extensions: [".log"] } },
+      { id: "all", category: "c", name: "C", match: { glob: ["**"] } }
+    ]);
+    assert.equal(categoryOf("x.log", classify), "b");
+    assert.equal(categoryOf("x.txt", classify), "c");
+  });
+});
+
+describe("path parsing", () => {
+  const names = ["a.txt", "A.TXT", "archive.tar.gz", ".bashrc", ".a.b", "a.", "..", "...", "..foo"];
+  for (const name of names) {
+    test(`extension of ${name} matches path.extname`, () => {
+      assert.equal(extensionOf(`dir/${name}`), path.extname(name).toLowerCase());
+    });
+  }
+
+  test("directories exclude the file name and empty segments", () => {
+    assert.deepEqual(directoriesOf("/A//b\\c/file"), ["a", "b", "c"]);
+    assert.deepEqual(directoriesOf("file"), []);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { contentKind, contentMismatch, sniffContent } from "../../shared/content.js";
+
+const bytes = (...parts) =>
+  Buffer.concat(
+    parts.map((part) => (typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part)))
+  );
+
+// A zip whose first entry is `name`, as far as the local file header goes.
+const zipWith = (name) => {
+  const header = Buffer.alloc(30);
+  header.write("PK\x03\x04", 0, "latin1");
+  header.writeUInt16LE(name.length, 26);
+  return bytes(header, name);
+};
+
+const tarHeader = () => {
+  const header = Buffer.alloc(512);
+  header.write("notes.txt", 0);
+  header.write("ustar", 257);
+  return header;
+};
+
+describe("sniffContent", () => {
+  const cases = [
+    ["jpeg", bytes([0xff, 0xd8, 0xff, 0xe0])],
+    ["png", bytes([0x89], "PNG\r\n\x1a\n")],
+    ["gif", bytes("GIF89a")],
+    ["webp", bytes("RIFF\x00\x00\x00\x00WEBPVP8 ")],
+    ["heif", bytes([0, 0, 0, 0x18], "ftypheic")],
+    ["mp3", bytes("ID3\x03\x00")],
+    ["mp3", bytes([0xff, 0xfb, 0x90, 0x00])],
+    ["aac", bytes([0xff, 0xf1, 0x50, 0x80])],
+    ["flac", bytes("fLaC")],
+    ["wav", bytes("RIFF\x00\x00\x00\x00WAVEfmt ")],
+    ["m4a", bytes([0, 0, 0, 0x18], "ftypM4A ")],
+    ["mov", bytes([0, 0, 0, 0x14], "ftypqt  ")],
+    ["mp4", bytes([0, 0, 0, 0x18], "ftypisom")],
+    ["matroska", bytes([0x1a, 0x45, 0xdf, 0xa3])],
+    ["avi", bytes("RIFF\x00\x00\x00\x00AVI LIST")],
+    ["apk", zipWith("AndroidManifest.xml")],
+    ["ooxml", zipWith("[Content_Types].xml")],
+    ["zip", zipWith("photos/a.jpg")],
+    ["exe", bytes("MZ\x90\x00")],
+    ["deb", bytes("!<arch>\ndebian-binary   ")],
+    ["appimage", bytes([0x7f], "ELF\x02\x01\x01\x00AI\x02")],
+    ["gzip", bytes([0x1f, 0x8b, 0x08])],
+    ["7z", bytes([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])],
+    ["tar", tarHeader()],
+    ["pdf", bytes("%PDF-1.7")],
+    [null, bytes("hello world\n")],
+    [null, bytes("BM")],
+    [null, bytes([])]
+  ];
+
+  for (const [expected, input] of cases) {
+    test(`${input.subarray(0, 8).toString("hex")} -> ${expected}`, () => {
+      assert.equal(sniffContent(input), expected);
+    });
+  }
+});
+
+describe("contentKind", () => {
+  const cases = [
+    [".mp4", null, "video"],
+    ["", "mp4", "video"],
+    [".dat", "zip", "archive"],
+    [".jpg", "png", "image"],
+    [".mp4", "zip", "archive"],
+    [".docx", "zip", null],
+    [".apk", "zip", "installer"],
+    [".dll", "exe", null],
+    [".msi", "ole", "installer"],
+    [".txt", null, null]
+  ];
+
+  for (const [extension, contentType, expected] of cases) {
+    test(`${extension || "(none)"} holding ${contentType} -> ${expected}`, () => {
+      assert.equal(contentKind(extension, contentType), expected);
+    });
+  }
+});
+
+describe("contentMismatch", () => {
+  const cases = [
+    [".mp4", "zip", { extension: ".mp4", expected: "mp4", actual: "zip" }],
+    [".txt", "zip", { extension: ".txt", expected: "text", actual: "zip" }],
+    [".jpg", "png", { extension: ".jpg", expected: "jpeg", actual: "png" }],
+    [".mov", "mp4", null],
+    [".docx", "zip", null],
+    [".mp4", null, null],
+    [".dat", "zip", null],
+    ["", "mp4", null]
+  ];
+
+  for (const [extension, contentType, expected] of cases) {
+    test(`${extension || "(none)"} holding ${contentType}`, () => {
+      assert.deepEqual(contentMismatch(extension, contentType), expected);
+    });
+  }
+});
@@ -0,0 +1,45 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { nextCronTime, parseCron } from "../lib/cron.js";
+
+// Dates are built in local time because cron runs in server local time.
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe("parseCron", () => {
+  test("expands ranges, steps and lists", () => {
+    const cron = parseCron("*/15 1-3 1,15 * 1-5");
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [1, 2, 3]);
+    assert.deepEqual([...cron.days], [1, 15]);
+  });
+
+  test("treats day-of-week 7 as Sunday", () => {
+    assert.ok(parseCron("0 0 * * 7").weekdays.has(0));
+  });
+
+  test("rejects out-of-range and malformed fields", () => {
+    assert.throws(() => parseCron("60 * * * *"), /minute/);
+    assert.throws(() => parseCron("* * * *"), /five fields/);
+    assert.throws(() => parseCron("* 5-2 * * *"), /hour/);
+  });
+});
+
+describe("nextCronTime", () => {
+  test("returns the next matching minute strictly after the start", () => {
+    assert.deepEqual(nextCronTime("30 2 * * *", at(2026, 3, 10, 2, 30)), at(2026, 3, 11, 2, 30));
+    assert.deepEqual(nextCronTime("@hourly", at(2026, 3, 10, 2, 5)), at(2026, 3, 10, 3, 0));
+  });
+
+  test("matches either day field when both are restricted", () => {
+    // 2026-03-10 is a Tuesday; the 15th comes before the next Monday (16th).
+    assert.deepEqual(nextCronTime("0 0 15 * 1", at(2026, 3, 10)), at(2026, 3, 15));
+  });
+
+  test("rolls over months and years", () => {
+    assert.deepEqual(nextCronTime("0 0 1 1 *", at(2026, 6, 1)), at(2027, 1, 1));
+  });
+
+  test("gives up on expressions that never match", () => {
+    assert.equal(nextCronTime("0 0 30 2 *", at(2026, 1, 1)), null);
+  });
+});
@@ -0,0 +1,190 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  PARTIAL_BYTES,
+  findDuplicateGroups,
+  keepOneCopy,
+  markDuplicates
+} from "../../shared/duplicates.js";
+import { createHashCache } from "../lib/duplicates.js";
+
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-duplicates-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const writeFile = (relativePath, content, mtimeMs = Date.parse("2026-01-01")) => {
+  const filePath = path.join(tmp, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  fs.utimesSync(filePath, new Date(mtimeMs), new Date(mtimeMs));
+  const stat = fs.statSync(filePath);
+  return { path: filePath, relativePath, size: stat.size, mtimeMs: stat.mtimeMs };
+};
+
+const names = (groups) => groups.map((group) => group.map((file) => file.relativePath));
+
+describe("findDuplicateGroups", () => {
+  test("files of the same size with different content are not copies", async () => {
+    const files = [writeFile("a/one.txt", "aaaa"), writeFile("a/two.txt", "bbbb")];
+    const cache = createHashCache(path.join(tmp, "cache-size.json"));
+    assert.deepEqual(await findDuplicateGroups(files, cache.hash), []);
+  });
+
+  test("identical content under different names is one group, oldest first", async () => {
+    const files = [
+      writeFile("b/copy of report.pdf", "report", Date.parse("2026-03-01")),
+      writeFile("b/report.pdf", "report", Date.parse("2026-02-01")),
+      writeFile("b/other.pdf", "other!")
+    ];
+    const cache = createHashCache(path.join(tmp, "cache-names.json"));
+    assert.deepEqual(names(await findDuplicateGroups(files, cache.hash)), [
+      ["b/report.pdf", "b/copy of report.pdf"]
+    ]);
+  });
+
+  test("large files that only share their first 64 KB are told apart", async () => {
+    const head = Buffer.alloc(PARTIAL_BYTES, 7);
+    const files = [
+      writeFile("c/x.bin", Buffer.concat([head, Buffer.from("tail-1")])),
+      writeFile("c/y.bin", Buffer.concat([head, Buffer.from("tail-2")])),
+      writeFile("c/z.bin", Buffer.concat([head, Buffer.from("tail-1")]))
+    ];
+    const cache = createHashCache(path.join(tmp, "cache-large.json"));
+    assert.deepEqual(names(await findDuplicateGroups(files, cache.hash)), [
+      ["c/x.bin", "c/z.bin"]
+    ]);
+  });
+
+  test("only reads files that share a size, and each file once", async () => {
+    const files = [
+      writeFile("d/unique.txt", "a unique size"),
+      writeFile("d/empty-1.txt", ""),
+      writeFile("d/empty-2.txt", ""),
+      writeFile("d/p.txt", "same"),
+      writeFile("d/q.txt", "same")
+    ];
+    const calls = [];
+    const hash = async (file, kind) => {
+      calls.push(`${file.relativePath}:${kind}`);
+      return fs.readFileSync(file.path, "utf-8");
+    };
+    assert.deepEqual(names(await findDuplicateGroups(files, hash)), [["d/p.txt", "d/q.txt"]]);
+    assert.deepEqual(calls, ["d/p.txt:partial", "d/q.txt:partial"]);
+  });
+
+  test("files that cannot be hashed are left out", async () => {
+    const files = [writeFile("e/1.txt", "same"), writeFile("e/2.txt", "same")];
+    const hash = async (file) => {
+      if (file.relativePath === "e/2.txt") throw new Error("EACCES");
+      return "digest";
+    };
+    assert.deepEqual(await findDuplicateGroups(files, hash), []);
+  });
+});
+
+describe("choosing the copy to keep", () => {
+  const hash = async (file) => file.content;
+  const copy = (relativePath, fields) => ({
+    path: `/root/${relativePath}`,
+    relativePath,
+    size: 4,
+    content: "same",
+    mtimeMs: 0,
+    category: null,
+    ...fields
+  });
+
+  test("a copy outside every cleanup category is kept over an older download", async () => {
+    const files = [
+      copy("Downloads/a.pdf", { category: "downloads", mtimeMs: 1 }),
+      copy("misc/a-copy.pdf", { mtimeMs: 2 })
+    ];
+    const groups = await findDuplicateGroups(files, hash);
+    markDuplicates(groups);
+    assert.deepEqual(names(groups), [["misc/a-copy.pdf", "Downloads/a.pdf"]]);
+    assert.equal(files[0].category, "duplicates");
+    assert.equal(files[1].category, null);
+    assert.deepEqual(files[0].copies, ["misc/a-copy.pdf", "Downloads/a.pdf"]);
+  });
+
+  test("a protected copy is kept first and never flagged", async () => {
+    const files = [
+      copy("a.bin", { mtimeMs: 1 }),
+      copy("b.bin", { mtimeMs: 2, protected: "pinned" }),
+      copy("c.bin", { mtimeMs: 3, protected: "protected" })
+    ];
+    const groups = await findDuplicateGroups(files, hash);
+    markDuplicates(groups);
+    assert.equal(groups[0][0].relativePath, "b.bin");
+    assert.deepEqual(
+      files.map((file) => file.category),
+      ["duplicates", null, null]
+    );
+  });
+
+  test("a selection holding every copy gives up the keeper", async () => {
+    const files = [
+      copy("Downloads/a.pdf", { category: "downloads", mtimeMs: 1 }),
+      copy("Downloads/a (1).pdf", { category: "downloads", mtimeMs: 2 }),
+      copy("Downloads/other.pdf", { category: "downloads", content: "else" })
+    ];
+    markDuplicates(await findDuplicateGroups(files, hash));
+    assert.deepEqual(keepOneCopy(files).kept, ["Downloads/a.pdf"]);
+    assert.deepEqual(
+      keepOneCopy(files).files.map((file) => file.relativePath),
+      ["Downloads/a (1).pdf", "Downloads/other.pdf"]
+    );
+    assert.deepEqual(keepOneCopy(files.slice(1)).kept, []);
+  });
+});
+
+describe("createHashCache", () => {
+  test("reuses a saved hash while path, size and mtime match", async () => {
+    const cachePath = path.join(tmp, "cache-reuse.json");
+    const file = writeFile("f/kept.txt", "first");
+    const cache = createHashCache(cachePath);
+    const digest = await cache.hash(file, "full");
+    cache.save();
+
+    fs.writeFileSync(file.path, "other");
+    fs.utimesSync(file.path, new Date(file.mtimeMs), new Date(file.mtimeMs));
+    const reloaded = createHashCache(cachePath);
+    assert.equal(reloaded.peek(file), digest);
+    assert.equal(await reloaded.hash(file, "full"), digest);
+  });
+
+  test("a changed mtime invalidates the cached hash", async () => {
+    const cachePath = path.join(tmp, "cache-mtime.json");
+    const file = writeFile("g/edited.txt", "first", Date.parse("2026-01-01"));
+    const cache = createHashCache(cachePath);
+    const first = await cache.hash(file, "partial");
+    cache.save();
+
+    const edited = writeFile("g/edited.txt", "other", Date.parse("2026-01-02"));
+    assert.equal(edited.size, file.size);
+    const reloaded = createHashCache(cachePath);
+    assert.equal(reloaded.peek(edited), null);
+    const second = await reloaded.hash(edited, "partial");
+    assert.notEqual(second, first);
+    assert.equal(reloaded.peek(edited), second);
+  });
+
+  test("pruned paths are forgotten", async () => {
+    const cachePath = path.join(tmp, "cache-prune.json");
+    const file = writeFile("h/gone.txt", "gone");
+    const cache = createHashCache(cachePath);
+    await cache.hash(file, "full");
+    cache.prune(new Set());
+    cache.save();
+    assert.equal(createHashCache(cachePath).peek(file), null);
+  });
+});
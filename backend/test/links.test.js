@@ -0,0 +1,134 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createScanIndex } from "../lib/scan-index.js";
+import { oneLinkPerInode, reclaimableBytes, uniqueBytes } from "../lib/links.js";
+import { quarantineFile, restoreItem } from "../lib/quarantine.js";
+import { withinRoot } from "../lib/roots.js";
+
+// Fixture layout, built fresh for every run because git cannot store hard
+// links:
+//
+//   <tmp>/root/data/a.bin          1000 bytes, 2 links (a.bin, b.bin)
+//   <tmp>/root/data/b.bin          hard link to a.bin
+//   <tmp>/root/data/single.bin     500 bytes, 1 link
+//   <tmp>/root/escape  -> <tmp>/outside        (symlinked directory)
+//   <tmp>/root/data/link.bin -> single.bin     (symlinked file)
+//   <tmp>/outside/secret.txt
+let tmp;
+let root;
+let outside;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-links-"));
+  root = path.join(tmp, "root");
+  outside = path.join(tmp, "outside");
+  fs.mkdirSync(path.join(root, "data"), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, "data", "a.bin"), Buffer.alloc(1000, 1));
+  fs.linkSync(path.join(root, "data", "a.bin"), path.join(root, "data", "b.bin"));
+  fs.writeFileSync(path.join(root, "data", "single.bin"), Buffer.alloc(500, 2));
+  fs.symlinkSync(path.join(root, "data", "single.bin"), path.join(root, "data", "link.bin"));
+  fs.writeFileSync(path.join(outside, "secret.txt"), "keep out");
+  fs.symlinkSync(outside, path.join(root, "escape"), "dir");
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const indexFiles = async () => {
+  const index = createScanIndex(path.join(tmp, "index.json"), root);
+  const { files } = await index.refresh({ full: true });
+  return files;
+};
+
+describe("scan index", () => {
+  test("does not follow symlinked directories or index symlinked files", async () => {
+    const names = (await indexFiles()).map((file) => file.relativePath).sort();
+    assert.deepEqual(names, [
+      path.join("data", "a.bin"),
+      path.join("data", "b.bin"),
+      path.join("data", "single.bin")
+    ]);
+  });
+
+  test("records device, inode and link count", async () => {
+    const files = await indexFiles();
+    const a = files.find((file) => file.name === "a.bin");
+    const b = files.find((file) => file.name === "b.bin");
+    assert.equal(a.nlink, 2);
+    assert.equal(a.ino, b.ino);
+    assert.equal(a.dev, b.dev);
+  });
+});
+
+describe("hard link accounting", () => {
+  test("counts a hard-linked file once in used bytes", async () => {
+    assert.equal(uniqueBytes(await indexFiles()), 1500);
+  });
+
+  test("removing one link of a multi-link file frees zero bytes", async () => {
+    const files = await indexFiles();
+    const a = files.find((file) => file.name === "a.bin");
+    assert.equal(reclaimableBytes([a]), 0);
+  });
+
+  test("removing every link frees the data once", async () => {
+    const files = await indexFiles();
+    const links = files.filter((file) => file.name !== "single.bin");
+    assert.equal(reclaimableBytes(links), 1000);
+    assert.equal(reclaimableBytes(files), 1500);
+  });
+
+  test("keeps a single link per inode for duplicate detection", async () => {
+    const files = await indexFiles();
+    assert.equal(oneLinkPerInode(files).length, 2);
+  });
+});
+
+describe("withinRoot", () => {
+  test("accepts a regular file inside the root", async () => {
+    assert.equal(await withinRoot(path.join(root, "data", "a.bin"), root), true);
+  });
+
+  test("refuses a path that escapes through a symlinked directory", async () => {
+    assert.equal(await withinRoot(path.join(root, "escape", "secret.txt"), root), false);
+  });
+
+  test("resolves missing paths through their nearest existing parent", async () => {
+    assert.equal(await withinRoot(path.join(root, "data", "new", "x.txt"), root), true);
+    assert.equal(await withinRoot(path.join(root, "escape", "new", "x.txt"), root), false);
+  });
+
+  test("refuses the root itself and sibling prefixes", async () => {
+    assert.equal(await withinRoot(root, root), false);
+    assert.equal(await withinRoot(`${root}-other/file`, root), false);
+  });
+});
+
+describe("restore", () => {
+  test("refuses to restore through a directory swapped for an escaping symlink", async () => {
+    const dir = path.join(root, "swap");
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, "note.txt"), "hello");
+    const stat = fs.statSync(path.join(dir, "note.txt"));
+    const item = await quarantineFile(
+      { path: path.join(dir, "note.txt"), name: "note.txt", size: stat.size, mtimeMs: stat.mtimeMs },
+      { dir: path.join(tmp, "quarantine"), runId: "clean_test", index: 0 }
+    );
+
+    fs.rmdirSync(dir);
+    fs.symlinkSync(outside, dir, "dir");
+
+    const result = await restoreItem(item, {
+      canRestoreTo: (target) => withinRoot(target, root)
+    });
+    assert.equal(result.restored, false);
+    assert.equal(result.reason, "outside-root");
+    assert.equal(fs.existsSync(path.join(outside, "note.txt")), false);
+    assert.equal(fs.existsSync(item.storedPath), true);
+  });
+});
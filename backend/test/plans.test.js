@@ -0,0 +1,94 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPlanStore, findChangedFiles, snapshotFiles } from "../lib/plans.js";
+
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-plans-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const writeFile = (name, content) => {
+  const filePath = path.join(tmp, name);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, relativePath: name, category: "logs" };
+};
+
+describe("plan tokens", () => {
+  test("a plan can be peeked at but only taken once", () => {
+    const plans = createPlanStore({ ttlMs: 60 * 1000 });
+    const { token } = plans.create({ root: "default", files: [] });
+    assert.match(token, /^[0-9a-f]{32}$/);
+    assert.equal(plans.peek(token).plan.root, "default");
+    assert.equal(plans.take(token).plan.root, "default");
+    assert.deepEqual(plans.take(token), { plan: null, expired: false });
+    assert.deepEqual(plans.peek(token), { plan: null, expired: false });
+  });
+
+  test("an expired plan is reported as expired, then forgotten", () => {
+    const plans = createPlanStore({ ttlMs: 0 });
+    const { token } = plans.create({ root: "default", files: [] });
+    assert.deepEqual(plans.peek(token), { plan: null, expired: true });
+    assert.deepEqual(plans.take(token), { plan: null, expired: true });
+    assert.deepEqual(plans.take(token), { plan: null, expired: false });
+  });
+
+  test("unknown tokens are neither found nor expired", () => {
+    const plans = createPlanStore({ ttlMs: 60 * 1000 });
+    assert.deepEqual(plans.take("nope"), { plan: null, expired: false });
+  });
+
+  test("each plan gets its own token", () => {
+    const plans = createPlanStore({ ttlMs: 60 * 1000 });
+    const a = plans.create({ root: "a" });
+    const b = plans.create({ root: "b" });
+    assert.notEqual(a.token, b.token);
+    assert.equal(plans.take(b.token).plan.root, "b");
+    assert.equal(plans.take(a.token).plan.root, "a");
+  });
+});
+
+describe("planned files", () => {
+  test("snapshots pin what is on disk and report missing files", async () => {
+    const file = writeFile("snap.log", "12345");
+    const { fresh, missing } = await snapshotFiles([
+      { ...file, size: 1, mtimeMs: 0 },
+      { path: path.join(tmp, "gone.log"), relativePath: "gone.log" }
+    ]);
+    assert.equal(fresh.length, 1);
+    assert.equal(fresh[0].size, 5);
+    assert.equal(fresh[0].mtimeMs, fs.statSync(file.path).mtimeMs);
+    assert.deepEqual(missing, [{ path: "gone.log", reason: "missing" }]);
+  });
+
+  test("untouched files pass", async () => {
+    const { fresh } = await snapshotFiles([writeFile("same.log", "abc")]);
+    assert.deepEqual(await findChangedFiles(fresh), []);
+  });
+
+  test("a run is refused for every kind of change", async () => {
+    const names = ["grown.log", "touched.log", "deleted.log", "replaced.log"];
+    const { fresh } = await snapshotFiles(names.map((name) => writeFile(name, "abc")));
+
+    fs.appendFileSync(path.join(tmp, "grown.log"), "def");
+    const later = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(path.join(tmp, "touched.log"), later, later);
+    fs.rmSync(path.join(tmp, "deleted.log"));
+    fs.rmSync(path.join(tmp, "replaced.log"));
+    fs.mkdirSync(path.join(tmp, "replaced.log"));
+
+    assert.deepEqual(await findChangedFiles(fresh), [
+      { path: "grown.log", reason: "size changed" },
+      { path: "touched.log", reason: "modified" },
+      { path: "deleted.log", reason: "missing" },
+      { path: "replaced.log", reason: "not a regular file" }
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compileProtection,
+  normalizePin,
+  normalizeProtection,
+  validateProtection
+} from "../lib/protection.js";
+
+const file = (relativePath) => ({ relativePath });
+
+const protectionFor = (settings, rootId = "default") =>
+  compileProtection(normalizeProtection(settings), rootId);
+
+describe("normalizePin", () => {
+  const cases = [
+    ["Downloads/a.zip", "Downloads/a.zip"],
+    ["./Downloads/a.zip", "Downloads/a.zip"],
+    ["/Downloads//a.zip", "Downloads/a.zip"],
+    ["Downloads\\a.zip", "Downloads/a.zip"],
+    ["Downloads/old/../a.zip", "Downloads/a.zip"],
+    ["Downloads/", "Downloads"]
+  ];
+  for (const [value, expected] of cases) {
+    test(`${value} -> ${expected}`, () => {
+      assert.equal(normalizePin(value), expected);
+    });
+  }
+});
+
+describe("compileProtection", () => {
+  test("a pin matches its file however it was written", () => {
+    const pins = [{ root: "default", path: normalizePin("./Downloads/a.zip") }];
+    assert.equal(protectionFor({ pins })(file("Downloads/a.zip")), "pinned");
+    assert.equal(protectionFor({ pins })(file("Downloads\\a.zip")), "pinned");
+    assert.equal(protectionFor({ pins })(file("Downloads/b.zip")), null);
+  });
+
+  test("pins stored before normalizing still match", () => {
+    const pins = [{ root: "default", path: "./Downloads//a.zip" }];
+    assert.equal(protectionFor({ pins })(file("Downloads/a.zip")), "pinned");
+  });
+
+  test("pins only apply to their own root", () => {
+    const pins = [{ root: "photos", path: "a.jpg" }];
+    assert.equal(protectionFor({ pins })(file("a.jpg")), null);
+    assert.equal(protectionFor({ pins }, "photos")(file("a.jpg")), "pinned");
+  });
+
+  test("protected globs match names anywhere and paths from the root", () => {
+    const isProtected = protectionFor({ protectedGlobs: ["*.key", "Documents/**"] });
+    assert.equal(isProtected(file("deep/dir/id.KEY")), "protected");
+    assert.equal(isProtected(file("Documents/tax/2025.pdf")), "protected");
+    assert.equal(isProtected(file("backup/Documents/2025.pdf")), null);
+    assert.equal(isProtected(file("logs/app.log")), null);
+  });
+
+  test("a pin wins over a protected glob", () => {
+    const check = protectionFor({
+      protectedGlobs: ["*.zip"],
+      pins: [{ root: "default", path: "a.zip" }]
+    });
+    assert.equal(check(file("a.zip")), "pinned");
+    assert.equal(check(file("b.zip")), "protected");
+  });
+
+  test("allowlist mode only lets matching files through", () => {
+    const check = protectionFor({
+      mode: "allowlist",
+      allowedGlobs: ["cache/**", "*.log"],
+      protectedGlobs: ["cache/keep/**"]
+    });
+    assert.equal(check(file("cache/x/y.tmp")), null);
+    assert.equal(check(file("var/app.log")), null);
+    assert.equal(check(file("cache/keep/state.db")), "protected");
+    assert.equal(check(file("Pictures/a.jpg")), "not-allowlisted");
+  });
+
+  test("protect mode ignores the allowlist", () => {
+    const check = protectionFor({ allowedGlobs: ["cache/**"] });
+    assert.equal(check(file("Pictures/a.jpg")), null);
+  });
+});
+
+describe("validateProtection", () => {
+  const cases = [
+    [{ mode: "allowlist", allowedGlobs: ["cache/**"] }, null],
+    [{ mode: "deny" }, 'mode must be "protect" or "allowlist"'],
+    [{ protectedGlobs: "*.key" }, "protectedGlobs must be a list of glob strings"],
+    [{ allowedGlobs: ["  "] }, "allowedGlobs must be a list of glob strings"],
+    [null, "body must be an object"]
+  ];
+  for (const [body, expected] of cases) {
+    test(`${JSON.stringify(body)} -> ${expected}`, () => {
+      assert.equal(validateProtection(body), expected);
+    });
+  }
+});
@@ -0,0 +1,193 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  markRestored,
+  purgeItem,
+  quarantineFile,
+  restoreItem,
+  selectExpired
+} from "../lib/quarantine.js";
+
+let tmp;
+let root;
+let dir;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-quarantine-"));
+  root = path.join(tmp, "root");
+  dir = path.join(tmp, "quarantine");
+  fs.mkdirSync(root);
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T12:00:00.000Z");
+
+const writeFile = (name, content) => {
+  const filePath = path.join(root, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return {
+    path: filePath,
+    relativePath: name,
+    name: path.basename(name),
+    size: Buffer.byteLength(content)
+  };
+};
+
+// Quarantines `names` as one clean run and returns its items together with
+// the history entry the run would record.
+const cleanRun = async (runId, names) => {
+  const items = [];
+  for (const [index, name] of names.entries()) {
+    items.push(await quarantineFile(writeFile(name, name), { dir, runId, index }));
+  }
+  const files = items.map((item) => ({ path: item.name, action: "delete", quarantineId: item.id }));
+  return { items, entry: { id: runId, files } };
+};
+
+describe("undo", () => {
+  test("a run whose quarantined files were purged is not reverted", async () => {
+    const { items, entry } = await cleanRun("clean_purged", ["a.log", "b.log"]);
+    for (const item of items) assert.equal(await purgeItem(item), true);
+
+    markRestored(entry, [], { remaining: 0, by: "tester" });
+    assert.equal(entry.reverted, false);
+    assert.equal(entry.restoredFiles, 0);
+    assert.equal(entry.revertedAt, undefined);
+  });
+
+  test("a partly restored run stays undoable until every file is back", async () => {
+    const { items, entry } = await cleanRun("clean_partial", ["c.log", "d.log"]);
+    fs.writeFileSync(items[1].originalPath, "taken");
+
+    const first = await Promise.all(items.map((item) => restoreItem(item)));
+    assert.deepEqual(
+      first.map((result) => result.reason || "restored"),
+      ["restored", "conflict"]
+    );
+    markRestored(entry, first, { remaining: 1, by: "tester" });
+    assert.equal(entry.reverted, false);
+    assert.equal(entry.restoredFiles, 1);
+    assert.equal(entry.revertedBy, "tester");
+
+    fs.rmSync(items[1].originalPath);
+    markRestored(entry, [await restoreItem(items[1])], { remaining: 0, by: "tester" });
+    assert.equal(entry.reverted, true);
+    assert.equal(entry.restoredFiles, 2);
+    assert.equal(fs.readFileSync(items[1].originalPath, "utf-8"), "d.log");
+  });
+
+  test("files that were compressed or archived keep a run from counting as reverted", () => {
+    const entry = {
+      id: "clean_mixed",
+      files: [
+        { path: "e.log", action: "delete", quarantineId: "clean_mixed_0" },
+        { path: "f.log", action: "compress" }
+      ]
+    };
+    markRestored(entry, [{ id: "clean_mixed_0", restored: true }], { remaining: 0 });
+    assert.equal(entry.files[0].restored, true);
+    assert.equal(entry.reverted, false);
+  });
+
+  test("entries without a file list are reverted once nothing is left in quarantine", () => {
+    const results = [{ id: "clean_old_0", restored: true }];
+    assert.equal(markRestored({ id: "clean_old" }, results, { remaining: 1 }).reverted, false);
+    assert.equal(markRestored({ id: "clean_old" }, results, { remaining: 0 }).reverted, true);
+  });
+});
+
+describe("selectExpired", () => {
+  const item = (id, ageDays, size) => ({
+    id,
+    size,
+    quarantinedAt: new Date(NOW - ageDays * DAY).toISOString()
+  });
+  const items = [item("new", 1, 300), item("old", 10, 100), item("mid", 5, 200)];
+  const ids = (list) => list.map((entry) => entry.id);
+
+  test("purges items past the retention period, oldest first", () => {
+    const { keep, purge } = selectExpired(items, { retentionDays: 7, maxBytes: 0, now: NOW });
+    assert.deepEqual(ids(purge), ["old"]);
+    assert.deepEqual(ids(keep), ["new", "mid"]);
+  });
+
+  test("then purges the oldest items until the rest fits the size cap", () => {
+    const { keep, purge } = selectExpired(items, { retentionDays: 7, maxBytes: 300, now: NOW });
+    assert.deepEqual(ids(purge), ["old", "mid"]);
+    assert.deepEqual(ids(keep), ["new"]);
+  });
+
+  test("the size cap alone also goes oldest first", () => {
+    const { purge } = selectExpired(items, { retentionDays: 0, maxBytes: 500, now: NOW });
+    assert.deepEqual(ids(purge), ["old"]);
+  });
+
+  test("keeps everything within both limits", () => {
+    const { keep, purge } = selectExpired(items, { retentionDays: 30, maxBytes: 600, now: NOW });
+    assert.deepEqual(purge, []);
+    assert.equal(keep.length, 3);
+  });
+});
+
+describe("restoreItem", () => {
+  test("files with the same name in one run are stored apart", async () => {
+    const options = (index) => ({ dir, runId: "clean_same_name", index });
+    const first = await quarantineFile(writeFile("x/app.log", "x"), options(0));
+    const second = await quarantineFile(writeFile("y/app.log", "y"), options(1));
+    assert.notEqual(first.storedPath, second.storedPath);
+    assert.equal(fs.readFileSync(second.storedPath, "utf-8"), "y");
+  });
+
+  test("never overwrites a file that took the original path", async () => {
+    const item = await quarantineFile(writeFile("z/report.txt", "quarantined"), {
+      dir,
+      runId: "clean_conflict",
+      index: 0
+    });
+    fs.writeFileSync(item.originalPath, "newer");
+
+    const result = await restoreItem(item);
+    assert.deepEqual(result, {
+      id: item.id,
+      path: item.originalPath,
+      restored: false,
+      reason: "conflict"
+    });
+    assert.equal(fs.readFileSync(item.originalPath, "utf-8"), "newer");
+    assert.equal(fs.readFileSync(item.storedPath, "utf-8"), "quarantined");
+  });
+
+  test("a symlink at the original path is a conflict too", async () => {
+    const item = await quarantineFile(writeFile("z/linked.txt", "quarantined"), {
+      dir,
+      runId: "clean_link",
+      index: 0
+    });
+    fs.symlinkSync(path.join(tmp, "nowhere"), item.originalPath);
+    assert.equal((await restoreItem(item)).reason, "conflict");
+  });
+
+  test("restores the file and its mtime once the path is free", async () => {
+    const file = writeFile("z/dated.txt", "dated");
+    const mtime = new Date("2026-01-02T03:04:05.000Z");
+    fs.utimesSync(file.path, mtime, mtime);
+    const stat = fs.statSync(file.path);
+    const item = await quarantineFile({ ...file, mtimeMs: stat.mtimeMs }, {
+      dir,
+      runId: "clean_dated",
+      index: 0
+    });
+
+    assert.equal((await restoreItem(item)).restored, true);
+    assert.equal(fs.statSync(item.originalPath).mtimeMs, mtime.getTime());
+    assert.equal(fs.existsSync(path.dirname(item.storedPath)), false);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createSchedule, createScheduler } from "../lib/schedules.js";
+
+const MINUTE = 60 * 1000;
+const START = Date.parse("2026-06-01T12:00:00.000Z");
+
+// A scheduler over an in-memory list with a clock the test moves by hand.
+// Each run waits until the test finishes it.
+const setup = (bodies) => {
+  let time = START;
+  const schedules = bodies.map((body) => ({
+    ...createSchedule({ root: "default", categories: ["logs"], intervalMinutes: 60, ...body }),
+    nextRunAt: new Date(START).toISOString()
+  }));
+  const runs = [];
+  const scheduler = createScheduler({
+    load: () => schedules,
+    update: (id, patch) => Object.assign(schedules.find((item) => item.id === id), patch),
+    run: (schedule) =>
+      new Promise((resolve, reject) => runs.push({ schedule, resolve, reject })),
+    now: () => new Date(time)
+  });
+  const advance = (ms) => {
+    time += ms;
+  };
+  return { schedules, runs, scheduler, advance };
+};
+
+// Lets the scheduler's promise callbacks run.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("createScheduler", () => {
+  test("runs a due schedule and sets its next slot from the clock", async () => {
+    const { schedules, runs, scheduler } = setup([{}]);
+    scheduler.tick();
+    assert.equal(runs.length, 1);
+    const [schedule] = schedules;
+    assert.equal(schedule.lastStatus, "running");
+    assert.equal(schedule.lastRunAt, new Date(START).toISOString());
+    assert.equal(schedule.nextRunAt, new Date(START + 60 * MINUTE).toISOString());
+
+    runs[0].resolve({ runId: "clean_1" });
+    await settle();
+    assert.equal(schedule.lastStatus, "completed");
+    assert.equal(schedule.lastRunId, "clean_1");
+    assert.equal(scheduler.isRunning(schedule.id), false);
+  });
+
+  test("a slot that comes up while the last run is going is skipped", async () => {
+    const { schedules, runs, scheduler, advance } = setup([{}]);
+    scheduler.tick();
+    advance(30 * MINUTE);
+    scheduler.tick();
+    assert.equal(runs.length, 1);
+
+    advance(31 * MINUTE);
+    scheduler.tick();
+    assert.equal(runs.length, 1);
+    assert.equal(schedules[0].skippedRuns, 1);
+    assert.equal(schedules[0].nextRunAt, new Date(START + 121 * MINUTE).toISOString());
+
+    runs[0].reject(new Error("disk gone"));
+    await settle();
+    assert.equal(schedules[0].lastStatus, "failed");
+    assert.equal(schedules[0].lastError, "disk gone");
+    advance(60 * MINUTE);
+    scheduler.tick();
+    assert.equal(runs.length, 2);
+  });
+
+  test("paused schedules are left alone", () => {
+    const { schedules, runs, scheduler } = setup([{ name: "paused" }, { name: "active" }]);
+    schedules[0].paused = true;
+    scheduler.tick();
+    assert.deepEqual(runs.map((item) => item.schedule.name), ["active"]);
+    assert.equal(schedules[0].nextRunAt, new Date(START).toISOString());
+  });
+
+  test("a manual trigger runs now, but not twice at once", async () => {
+    const { schedules, runs, scheduler } = setup([{}]);
+    const [schedule] = schedules;
+    schedule.nextRunAt = new Date(START + 60 * MINUTE).toISOString();
+
+    assert.equal(scheduler.trigger(schedule), true);
+    assert.equal(scheduler.trigger(schedule), false);
+    assert.equal(runs.length, 1);
+    assert.equal(schedule.nextRunAt, new Date(START + 60 * MINUTE).toISOString());
+
+    runs[0].resolve({ runId: "clean_manual" });
+    await settle();
+    assert.equal(scheduler.trigger(schedule), true);
+  });
+
+  test("a store that cannot be written does not escape as a rejection", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const failing = [];
+    let started = false;
+    const schedule = { id: "sched_x", nextRunAt: new Date(START).toISOString() };
+    const scheduler = createScheduler({
+      load: () => [schedule],
+      update: (id, patch) => {
+        if (patch.lastStatus) {
+          failing.push(patch.lastStatus);
+          throw new Error("EROFS");
+        }
+        Object.assign(schedule, patch);
+      },
+      run: async () => {
+        started = true;
+        return { runId: "clean_x" };
+      },
+      now: () => new Date(START)
+    });
+    scheduler.trigger({ ...schedule, intervalMinutes: 60 });
+    await settle();
+    assert.equal(started, false);
+    assert.deepEqual(failing, ["running", "failed"]);
+    assert.match(warn.mock.calls[0].arguments[0], /sched_x failed \(EROFS\): EROFS/);
+    assert.equal(scheduler.isRunning("sched_x"), false);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { categoryList, listFiles, resolveCleanTargets } from "../lib/selection.js";
+
+const file = (relativePath, category, size = 10) => ({
+  path: `/root/${relativePath}`,
+  relativePath,
+  category,
+  size,
+  mtimeMs: 0
+});
+
+const scan = {
+  categoryFiles: {
+    logs: [file("a.log", "logs", 30), file("b.log", "logs", 20)],
+    cache: [file("cache/x", "cache")]
+  }
+};
+
+describe("category lookups", () => {
+  for (const id of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    test(`${id} is not a category`, () => {
+      assert.equal(categoryList(scan, id), null);
+      const targets = resolveCleanTargets(scan, { categories: [id] });
+      assert.deepEqual(targets.files, []);
+      assert.deepEqual(targets.categories, []);
+      assert.deepEqual(targets.skipped, [{ category: id, reason: "unknown category" }]);
+    });
+  }
+
+  test("known categories and excluded paths", () => {
+    const targets = resolveCleanTargets(scan, {
+      categories: ["logs"],
+      exclude: { logs: ["b.log"] },
+      files: ["cache/x", "nope"]
+    });
+    assert.deepEqual(targets.files.map((f) => f.relativePath).sort(), ["a.log", "cache/x"]);
+    assert.deepEqual(targets.categories.sort(), ["cache", "logs"]);
+    assert.deepEqual(targets.skipped, [{ path: "nope", reason: "not in a cleanup category" }]);
+  });
+});
+
+describe("duplicate groups", () => {
+  const copies = ["Downloads/a.pdf", "misc/a-copy.pdf", "misc/a-copy2.pdf"];
+  const copy = (relativePath, category) => ({ ...file(relativePath, category), copies });
+  const withCopies = {
+    categoryFiles: {
+      downloads: [copy("Downloads/a.pdf", "downloads")],
+      duplicates: [copy("misc/a-copy.pdf", "duplicates"), copy("misc/a-copy2.pdf", "duplicates")]
+    }
+  };
+
+  test("a clean that selects every copy leaves the keeper", () => {
+    const targets = resolveCleanTargets(withCopies, { categories: ["downloads", "duplicates"] });
+    assert.deepEqual(targets.files.map((f) => f.relativePath).sort(), copies.slice(1));
+    assert.deepEqual(targets.categories.sort(), ["downloads", "duplicates"]);
+    assert.deepEqual(targets.skipped, [{ path: "Downloads/a.pdf", reason: "last copy" }]);
+  });
+
+  test("the keeper can be cleaned while another copy stays", () => {
+    const targets = resolveCleanTargets(withCopies, {
+      categories: ["downloads"],
+      files: ["misc/a-copy.pdf"]
+    });
+    assert.deepEqual(targets.files.map((f) => f.relativePath).sort(), copies.slice(0, 2));
+    assert.deepEqual(targets.skipped, []);
+  });
+});
+
+describe("listFiles", () => {
+  test("an inherited property name falls back to sorting by size", () => {
+    const page = listFiles(scan.categoryFiles.logs, { sort: "constructor" });
+    assert.equal(page.sort, "size");
+    assert.deepEqual(page.files.map((f) => f.relativePath), ["a.log", "b.log"]);
+  });
+});
@@ -0,0 +1,204 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { createHashCache } from "../lib/duplicates.js";
+import {
+  findSimilarGroups,
+  hashImage,
+  imageDistance,
+  validateSimilarSettings
+} from "../lib/similar.js";
+
+// Images are drawn from a function of the relative position, so the same
+// scene can be rendered at any size.
+const sunset = (u, v) => [255 * u, 120 + 100 * v, 255 * (1 - v)];
+const stripes = (u, v) => (Math.floor(v * 6) % 2 ? [20, 20, 20] : [230, 230, 230]);
+const checks = (u, v) =>
+  (Math.floor(u * 4) + Math.floor(v * 4)) % 2 ? [240, 240, 240] : [10, 10, 10];
+
+const render = (scene, width, height) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b] = scene(x / width, y / height);
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+const encodePng = (scene, width, height) => {
+  const png = new PNG({ width, height });
+  png.data = render(scene, width, height).data;
+  return PNG.sync.write(png);
+};
+
+const encodeJpeg = (scene, width, height, quality = 90) =>
+  jpeg.encode(render(scene, width, height), quality).data;
+
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-similar-"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const writeImage = (name, buffer, contentType) => {
+  const filePath = path.join(tmp, name);
+  fs.writeFileSync(filePath, buffer);
+  return { path: filePath, relativePath: name, size: buffer.length, mtimeMs: 1, contentType };
+};
+
+describe("hashImage", () => {
+  test("a resized, recompressed copy stays close", () => {
+    const original = hashImage(encodePng(sunset, 240, 160), "png");
+    const copy = hashImage(encodeJpeg(sunset, 120, 80, 60), "jpeg");
+    assert.deepEqual([original.width, original.height, copy.width], [240, 160, 120]);
+    assert.ok(imageDistance(original, copy) <= 4);
+  });
+
+  test("different scenes are far apart", () => {
+    const a = hashImage(encodePng(stripes, 64, 64), "png");
+    const b = hashImage(encodePng(checks, 64, 64), "png");
+    assert.ok(imageDistance(a, b) > 16);
+  });
+
+  test("a PNG claiming huge dimensions is refused before decoding", () => {
+    const bomb = Buffer.from(encodePng(sunset, 8, 8));
+    bomb.writeUInt32BE(100000, 16);
+    bomb.writeUInt32BE(100000, 20);
+    assert.throws(() => hashImage(bomb, "png"), /larger than 50 MP/);
+  });
+
+  test("hashes are 64 bits of hex", () => {
+    const { aHash, dHash } = hashImage(encodeJpeg(checks, 32, 32), "jpeg");
+    assert.match(aHash, /^[0-9a-f]{16}$/);
+    assert.match(dHash, /^[0-9a-f]{16}$/);
+  });
+});
+
+describe("findSimilarGroups", () => {
+  let files;
+  let cachePath;
+
+  before(() => {
+    cachePath = path.join(tmp, "hash-cache.json");
+    files = [
+      writeImage("small.jpg", encodeJpeg(sunset, 120, 80, 70), "jpeg"),
+      writeImage("large.png", encodePng(sunset, 480, 320), "png"),
+      writeImage("medium.jpg", encodeJpeg(sunset, 240, 160, 85), "jpeg"),
+      writeImage("stripes.png", encodePng(stripes, 200, 200), "png"),
+      writeImage("checks.png", encodePng(checks, 200, 200), "png"),
+      writeImage("broken.jpg", Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]), "jpeg"),
+      writeImage("notes.txt", Buffer.from("not an image"), null)
+    ];
+  });
+
+  test("groups copies of one scene and keeps the largest resolution", async () => {
+    const groups = await findSimilarGroups(files, createHashCache(cachePath), { threshold: 10 });
+    assert.equal(groups.length, 1);
+    const [group] = groups;
+    assert.equal(group.keep.file.relativePath, "large.png");
+    assert.deepEqual(group.others.map((item) => item.file.relativePath).sort(), [
+      "medium.jpg",
+      "small.jpg"
+    ]);
+    for (const item of group.others) assert.ok(item.distance <= 10);
+  });
+
+  test("a zero threshold only groups identical hashes", async () => {
+    const groups = await findSimilarGroups(files, createHashCache(cachePath), { threshold: 0 });
+    for (const group of groups) {
+      for (const item of group.others) assert.equal(item.distance, 0);
+    }
+  });
+
+  test("cached hashes are reused without reading the files again", async () => {
+    const cache = createHashCache(cachePath);
+    await findSimilarGroups(files, cache, { threshold: 10 });
+    cache.save();
+
+    const gone = files.map((file) => ({ ...file, path: `${file.path}.moved` }));
+    const fresh = await findSimilarGroups(gone, createHashCache(cachePath), { threshold: 10 });
+    assert.equal(fresh.length, 0);
+
+    for (const file of files) fs.renameSync(file.path, `${file.path}.moved`);
+    try {
+      const cached = await findSimilarGroups(files, createHashCache(cachePath), { threshold: 10 });
+      assert.equal(cached.length, 1);
+      assert.equal(cached[0].keep.file.relativePath, "large.png");
+    } finally {
+      for (const file of files) fs.renameSync(`${file.path}.moved`, file.path);
+    }
+  });
+});
+
+describe("grouping around the keeper", () => {
+  // Hashes given directly: each image is 8 bits from the next one.
+  const images = {
+    "a.png": { width: 400, height: 300, hash: "0000000000000000" },
+    "b.png": { width: 200, height: 150, hash: "00000000000000ff" },
+    "c.png": { width: 100, height: 75, hash: "000000000000ffff" },
+    "d.png": { width: 50, height: 40, hash: "0000000000ffffff" }
+  };
+  const chain = Object.keys(images).map((name) => ({
+    path: `/chain/${name}`,
+    relativePath: name,
+    size: 100,
+    mtimeMs: 1,
+    contentType: "png"
+  }));
+  const cache = {
+    remember: async (file) => {
+      const { width, height, hash } = images[file.relativePath];
+      return { width, height, aHash: hash, dHash: hash };
+    }
+  };
+
+  test("a chain of near neighbours is not one group", async () => {
+    const groups = await findSimilarGroups(chain, cache, { threshold: 10 });
+    assert.deepEqual(
+      groups.map((group) => [
+        group.keep.file.relativePath,
+        ...group.others.map((item) => `${item.file.relativePath}@${item.distance}`)
+      ]),
+      [
+        ["a.png", "b.png@8"],
+        ["c.png", "d.png@8"]
+      ]
+    );
+  });
+
+  test("every member is within the threshold of its keeper", async () => {
+    const groups = await findSimilarGroups(chain, cache, { threshold: 16 });
+    assert.deepEqual(
+      groups.map((group) => group.others.map((item) => item.distance)),
+      [[8, 16]]
+    );
+    assert.equal(groups[0].keep.file.relativePath, "a.png");
+  });
+});
+
+describe("validateSimilarSettings", () => {
+  const cases = [
+    [{ enabled: true }, null],
+    [{ threshold: 0 }, null],
+    [{ enabled: "yes" }, "similarPhotos.enabled must be a boolean"],
+    [{ threshold: 33 }, "similarPhotos.threshold must be an integer from 0 to 32"],
+    [{ threshold: 2.5 }, "similarPhotos.threshold must be an integer from 0 to 32"],
+    [[], "similarPhotos must be an object"]
+  ];
+
+  for (const [settings, expected] of cases) {
+    test(`${JSON.stringify(settings)} -> ${expected}`, () => {
+      assert.equal(validateSimilarSettings(settings), expected);
+    });
+  }
+});
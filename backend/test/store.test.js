@@ -0,0 +1,97 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLockManager } from "../lib/locks.js";
+import { createFileBackend, createStore } from "../lib/store.js";
+
+const tempFile = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "store-test-")), "storage.json");
+
+describe("file store", () => {
+  const store = (filePath) =>
+    createStore({
+      backend: createFileBackend(filePath),
+      empty: () => ({ items: [] }),
+      normalize: (data) => ({ items: data.items || [] })
+    });
+
+  test("saves atomically and keeps the previous version", () => {
+    const filePath = tempFile();
+    store(filePath).save({ items: [1] });
+    store(filePath).save({ items: [1, 2] });
+    assert.deepEqual(store(filePath).load(), { items: [1, 2] });
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.bak`, "utf-8")), { items: [1] });
+    assert.deepEqual(
+      fs.readdirSync(path.dirname(filePath)).filter((name) => name.endsWith(".tmp")),
+      []
+    );
+  });
+
+  test("recovers a half-written file from the backup", () => {
+    const filePath = tempFile();
+    store(filePath).save({ items: [1] });
+    store(filePath).save({ items: [1, 2] });
+    fs.writeFileSync(filePath, '{"items": [1, 2');
+    assert.deepEqual(store(filePath).load(), { items: [1] });
+    const names = fs.readdirSync(path.dirname(filePath));
+    assert.equal(names.filter((name) => name.startsWith("storage.json.broken-")).length, 1);
+  });
+
+  test("update applies changes to the latest saved version", async () => {
+    const filePath = tempFile();
+    store(filePath).save({ items: [1, 2] });
+    const stale = store(filePath).load();
+    await new Promise((resolve) => setImmediate(resolve));
+    store(filePath).update((data) => data.items.push(3));
+    const result = store(filePath).update((data) => {
+      data.items = data.items.filter((item) => !stale.items.includes(item));
+      return data.items;
+    });
+    assert.deepEqual(result, [3]);
+    assert.deepEqual(store(filePath).load(), { items: [3] });
+  });
+
+  test("starts empty when nothing usable is left", () => {
+    const filePath = tempFile();
+    fs.writeFileSync(filePath, "{");
+    assert.deepEqual(store(filePath).load(), { items: [] });
+  });
+});
+
+describe("locks", () => {
+  test("refuses a busy key without waiting", () => {
+    const locks = createLockManager();
+    const release = locks.tryAcquire("a", { by: "first" });
+    assert.equal(locks.tryAcquire("a"), null);
+    assert.equal(locks.status("a").holder.by, "first");
+    assert.ok(locks.tryAcquire("b"));
+    release();
+    assert.ok(locks.tryAcquire("a"));
+  });
+
+  test("hands the lock to waiters in order", async () => {
+    const locks = createLockManager();
+    const order = [];
+    const release = locks.tryAcquire("a");
+    const waiters = [1, 2].map((n) =>
+      locks.acquire("a").then((next) => {
+        order.push(n);
+        next();
+      })
+    );
+    assert.equal(locks.status("a").queued, 2);
+    release();
+    await Promise.all(waiters);
+    assert.deepEqual(order, [1, 2]);
+    assert.equal(locks.status("a"), null);
+  });
+
+  test("gives up after the timeout", async () => {
+    const locks = createLockManager();
+    locks.tryAcquire("a");
+    assert.equal(await locks.acquire("a", {}, { timeoutMs: 10 }), null);
+    assert.equal(locks.status("a").queued, 0);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  appendDelivery,
+  createThreshold,
+  deliverWebhook,
+  evaluateThreshold,
+  updateThreshold,
+  validateThreshold
+} from "../lib/thresholds.js";
+
+const roots = [{ id: "default" }, { id: "photos" }];
+
+const threshold = (overrides = {}) => ({
+  ...createThreshold({
+    root: "default",
+    metric: "totalUsedMB",
+    thresholdMB: 100,
+    action: { type: "webhook", url: "http://hooks.test/alert" }
+  }),
+  ...overrides
+});
+
+describe("evaluateThreshold", () => {
+  const cases = [
+    ["ok", 99, "ok", null],
+    ["ok", 100, "firing", "firing"],
+    ["firing", 150, "firing", null],
+    ["firing", 99, "ok", "resolved"]
+  ];
+  for (const [from, valueMB, state, transition] of cases) {
+    test(`${from} at ${valueMB} MB -> ${state} (${transition})`, () => {
+      assert.deepEqual(evaluateThreshold(threshold({ state: from }), { totalUsedMB: valueMB }), {
+        valueMB,
+        state,
+        transition
+      });
+    });
+  }
+
+  test("reads the threshold's own metric", () => {
+    const alert = threshold({ metric: "totalReclaimableMB" });
+    const scan = { totalUsedMB: 500, totalReclaimableMB: 10 };
+    assert.equal(evaluateThreshold(alert, scan).state, "ok");
+  });
+});
+
+describe("updateThreshold", () => {
+  const firing = () =>
+    threshold({ state: "firing", valueMB: 150, firedAt: "2026-01-01T00:00:00.000Z" });
+
+  test("a new root or metric starts the alert over", () => {
+    for (const body of [{ root: "photos" }, { metric: "totalReclaimableMB" }]) {
+      const next = updateThreshold(firing(), body);
+      assert.equal(next.state, "ok");
+      assert.equal(next.valueMB, null);
+      assert.equal(next.firedAt, null);
+    }
+  });
+
+  test("a new mark or action keeps the current state", () => {
+    const next = updateThreshold(firing(), {
+      name: "  Disk  ",
+      thresholdMB: 120,
+      action: { type: "clean", categories: ["logs"] }
+    });
+    assert.equal(next.state, "firing");
+    assert.equal(next.name, "Disk");
+    assert.equal(next.thresholdMB, 120);
+    assert.deepEqual(next.action, {
+      type: "clean",
+      categories: ["logs"],
+      simulated: true,
+      actions: {}
+    });
+  });
+
+  test("partial updates are validated against known roots", () => {
+    const partial = { roots, partial: true };
+    assert.equal(validateThreshold({ root: "nope" }, partial), "Unknown root: nope");
+    assert.equal(validateThreshold({ thresholdMB: 5 }, partial), null);
+  });
+});
+
+describe("deliverWebhook", () => {
+  // Answers each call with the next status, or throws for an Error.
+  const stubFetch = (t, responses) => {
+    const calls = [];
+    t.mock.method(globalThis, "fetch", async (url, options) => {
+      calls.push({ url, body: JSON.parse(options.body) });
+      const next = responses[calls.length - 1];
+      if (next instanceof Error) throw next;
+      return { ok: next >= 200 && next < 300, status: next };
+    });
+    return calls;
+  };
+
+  // Runs backoff waits at once, recording how long each would have been.
+  const stubWaits = (t) => {
+    const delays = [];
+    t.mock.method(globalThis, "setTimeout", (callback, ms) => {
+      delays.push(ms);
+      callback();
+    });
+    return delays;
+  };
+
+  test("one successful attempt is delivered without waiting", async (t) => {
+    const calls = stubFetch(t, [204]);
+    const delays = stubWaits(t);
+    const delivery = await deliverWebhook("http://hooks.test/a", { event: "firing" });
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.event, "firing");
+    assert.equal(delivery.attempts.length, 1);
+    assert.deepEqual(calls[0], { url: "http://hooks.test/a", body: { event: "firing" } });
+    assert.deepEqual(delays, []);
+  });
+
+  test("failed attempts are retried with doubling waits", async (t) => {
+    stubFetch(t, [500, new Error("connection refused"), 200]);
+    const delays = stubWaits(t);
+    const seen = [];
+    const delivery = await deliverWebhook(
+      "http://hooks.test/a",
+      { event: "resolved" },
+      { onAttempt: (item) => seen.push(item.status) }
+    );
+    assert.equal(delivery.status, "delivered");
+    assert.deepEqual(
+      delivery.attempts.map((attempt) => [attempt.status, attempt.error]),
+      [
+        [500, "HTTP 500"],
+        [null, "connection refused"],
+        [200, null]
+      ]
+    );
+    assert.deepEqual(seen, ["retrying", "retrying", "delivered"]);
+    assert.deepEqual(delays, [2000, 4000]);
+  });
+
+  test("gives up after three attempts", async (t) => {
+    const calls = stubFetch(t, [503, 503, 503, 200]);
+    const delays = stubWaits(t);
+    const delivery = await deliverWebhook("http://hooks.test/a", { event: "firing" });
+    assert.equal(delivery.status, "failed");
+    assert.equal(calls.length, 3);
+    assert.deepEqual(delays, [2000, 4000]);
+  });
+
+  test("delivery history keeps the newest record per id", () => {
+    const older = { id: "d1", status: "retrying" };
+    const list = appendDelivery([older, { id: "d2" }], { id: "d1", status: "delivered" });
+    assert.deepEqual(list, [{ id: "d1", status: "delivered" }, { id: "d2" }]);
+  });
+});
@@ -0,0 +1,104 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createScanIndex } from "../lib/scan-index.js";
+import { buildTree, largestEntries, resolveTreePath } from "../lib/tree.js";
+
+// Fixture layout:
+//
+//   <tmp>/root/a/b/c/d/e/f/g/h/i/deep.bin   10 bytes
+//   <tmp>/root/a/top.bin                    20 bytes
+//   <tmp>/root/data/x.bin                   30 bytes
+//   <tmp>/root/data2/y.bin                  40 bytes
+//   <tmp>/root/escape -> <tmp>/outside      (symlinked directory)
+//   <tmp>/outside/secret.bin                50 bytes
+let tmp;
+let files;
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cleaner-tree-"));
+  const root = path.join(tmp, "root");
+  const write = (relativePath, size) => {
+    const filePath = path.join(tmp, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+  };
+  write("root/a/b/c/d/e/f/g/h/i/deep.bin", 10);
+  write("root/a/top.bin", 20);
+  write("root/data/x.bin", 30);
+  write("root/data2/y.bin", 40);
+  write("outside/secret.bin", 50);
+  fs.symlinkSync(path.join(tmp, "outside"), path.join(root, "escape"), "dir");
+  const index = createScanIndex(path.join(tmp, "index.json"), root);
+  ({ files } = await index.refresh({ full: true }));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const childNames = (node) => node.children.map((child) => child.name);
+
+// Deepest level listed below `node`.
+const levels = (node) =>
+  node.children ? 1 + Math.max(0, ...node.children.map(levels)) : 0;
+
+describe("resolveTreePath", () => {
+  const cases = [
+    [undefined, ""],
+    [".", ""],
+    ["a/b/", path.join("a", "b")],
+    ["a/../data", "data"],
+    ["..", null],
+    ["../outside", null],
+    ["a/../../outside", null],
+    // Absolute paths are taken from the root, never from the filesystem root.
+    ["/etc", "etc"],
+    ["//a/b", path.join("a", "b")]
+  ];
+  for (const [value, expected] of cases) {
+    test(`${value} -> ${expected}`, () => {
+      assert.equal(resolveTreePath(value), expected);
+    });
+  }
+});
+
+describe("buildTree", () => {
+  test("sums everything below each directory", () => {
+    const { tree } = buildTree(files, { depth: 1 });
+    assert.equal(tree.size, 100);
+    assert.deepEqual(childNames(tree), ["data2", "data", "a"]);
+    assert.equal(tree.children.find((child) => child.name === "a").size, 30);
+  });
+
+  test("a symlink that leaves the root is neither listed nor followed", () => {
+    assert.equal(childNames(buildTree(files, { depth: 1 }).tree).includes("escape"), false);
+    assert.equal(buildTree(files, { base: resolveTreePath("escape") }), null);
+    assert.equal(largestEntries(files).files.some((file) => file.name === "secret.bin"), false);
+  });
+
+  test("a base does not take in siblings that share its prefix", () => {
+    const { tree } = buildTree(files, { base: resolveTreePath("data"), depth: 1 });
+    assert.equal(tree.size, 30);
+    assert.equal(tree.files, 1);
+  });
+
+  test("depth is clamped to 0 through 8, and defaults to 2", () => {
+    const deep = buildTree(files, { base: "a", depth: "100" });
+    assert.equal(deep.depth, 8);
+    assert.equal(levels(deep.tree), 8);
+
+    const flat = buildTree(files, { base: "a", depth: "-3" });
+    assert.equal(flat.depth, 0);
+    assert.equal(flat.tree.children, undefined);
+    assert.equal(flat.tree.truncated, true);
+
+    assert.equal(buildTree(files, { depth: "lots" }).depth, 2);
+  });
+
+  test("a path with nothing indexed under it gives null", () => {
+    assert.equal(buildTree(files, { base: "missing" }), null);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { daysToCapacity, downsample, growthPerDay, parseTrendWindow } from "../lib/trends.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.parse("2026-06-01T12:00:00.000Z");
+
+const snapshot = (ageMs, totalUsedMB, root = "default") => ({
+  time: new Date(NOW - ageMs).toISOString(),
+  root,
+  totalUsedMB,
+  totalReclaimableMB: 0,
+  categories: {}
+});
+
+describe("downsample", () => {
+  test("keeps the latest snapshot per minute for recent data", () => {
+    const kept = downsample([snapshot(10 * 1000, 1), snapshot(5 * 1000, 2)], {
+      retentionDays: 365,
+      now: NOW
+    });
+    assert.deepEqual(kept.map((s) => s.totalUsedMB), [2]);
+  });
+
+  test("thins older data to hourly, then daily, then drops it", () => {
+    const hourly = [snapshot(5 * DAY + 40 * MINUTE, 1), snapshot(5 * DAY + 10 * MINUTE, 2)];
+    const daily = [snapshot(60 * DAY + 3 * MINUTE * 60, 3), snapshot(60 * DAY, 4)];
+    const expired = [snapshot(400 * DAY, 5)];
+    const kept = downsample([...hourly, ...daily, ...expired], { retentionDays: 365, now: NOW });
+    assert.equal(kept.some((s) => s.totalUsedMB === 5), false);
+    assert.equal(kept.filter((s) => [1, 2].includes(s.totalUsedMB)).length, 1);
+    assert.equal(kept.filter((s) => [3, 4].includes(s.totalUsedMB)).length, 1);
+  });
+
+  test("a retention shorter than the finer tiers still drops older data", () => {
+    const snapshots = [snapshot(20 * DAY, 1), snapshot(3 * DAY, 2), snapshot(12 * 60 * MINUTE, 3)];
+    const week = downsample(snapshots, { retentionDays: 7, now: NOW });
+    assert.deepEqual(week.map((s) => s.totalUsedMB), [2, 3]);
+    const day = downsample(snapshots, { retentionDays: 1, now: NOW });
+    assert.deepEqual(day.map((s) => s.totalUsedMB), [3]);
+  });
+
+  test("buckets each root separately", () => {
+    const kept = downsample([snapshot(1000, 1, "a"), snapshot(1000, 2, "b")], {
+      retentionDays: 365,
+      now: NOW
+    });
+    assert.equal(kept.length, 2);
+  });
+});
+
+describe("growth", () => {
+  test("fits MB per day across the points", () => {
+    const points = [snapshot(3 * DAY, 100), snapshot(2 * DAY, 110), snapshot(DAY, 120)];
+    assert.equal(Math.round(growthPerDay(points)), 10);
+  });
+
+  test("needs at least two points an hour apart", () => {
+    assert.equal(growthPerDay([snapshot(DAY, 1)]), null);
+    assert.equal(growthPerDay([snapshot(2 * MINUTE, 1), snapshot(MINUTE, 2)]), null);
+  });
+
+  test("projects days to capacity only while growing", () => {
+    assert.equal(daysToCapacity(100, 200, 10), 10);
+    assert.equal(daysToCapacity(100, 200, -5), null);
+    assert.equal(daysToCapacity(100, null, 10), null);
+  });
+});
+
+describe("parseTrendWindow", () => {
+  test("accepts named windows and explicit ranges", () => {
+    assert.equal(parseTrendWindow({ window: "7d" }, NOW).from, NOW - 7 * DAY);
+    const range = parseTrendWindow({ from: "2026-01-01", to: "2026-02-01" });
+    assert.equal(range.window, null);
+    assert.match(parseTrendWindow({ window: "2w" }).error, /window/);
+  });
+});
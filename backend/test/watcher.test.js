@@ -0,0 +1,164 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import path from "path";
+import { createRootWatcher } from "../lib/watcher.js";
+
+const ROOT = path.join(path.sep, "srv", "storage");
+const START = Date.parse("2026-06-01T12:00:00.000Z");
+
+const limitError = (code) => Object.assign(new Error(`${code}: watch limit`), { code });
+
+// A root watcher over a fake fs.watch, with fake timers and console.warn
+// silenced. `emit(filename)` plays an event from the OS; `watch.mock.calls`
+// shows how often watching was attempted.
+const setup = (t, options = {}) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "setInterval", "Date"], now: START });
+  const warn = t.mock.method(console, "warn", () => {});
+  const handle = Object.assign(new EventEmitter(), { close: t.mock.fn() });
+  let listener = null;
+  const watch = t.mock.fn(
+    options.watch ||
+      ((rootPath, watchOptions, callback) => {
+        listener = callback;
+        return handle;
+      })
+  );
+  const changes = [];
+  const statuses = [];
+  const watcher = createRootWatcher({
+    rootPath: ROOT,
+    debounceMs: 1000,
+    maxWaitMs: 3000,
+    pollMs: 60 * 1000,
+    onChange: (paths) => changes.push(paths),
+    onStatus: (status) => statuses.push(status),
+    ...options,
+    watch
+  });
+  const emit = (filename) => listener("change", filename);
+  const tick = (ms) => t.mock.timers.tick(ms);
+  return { watcher, handle, watch, warn, changes, statuses, emit, tick };
+};
+
+describe("createRootWatcher", () => {
+  test("reports a burst of events once it has been quiet for the debounce", (t) => {
+    const { watcher, watch, changes, emit, tick } = setup(t);
+    watcher.start();
+    assert.equal(watcher.status().mode, "watching");
+    assert.deepEqual(watch.mock.calls[0].arguments.slice(0, 2), [ROOT, { recursive: true }]);
+
+    emit("a.log");
+    tick(900);
+    emit("b.log");
+    tick(900);
+    emit("a.log");
+    tick(999);
+    assert.deepEqual(changes, []);
+
+    tick(1);
+    assert.deepEqual(changes, [[path.join(ROOT, "a.log"), path.join(ROOT, "b.log")]]);
+    tick(5000);
+    assert.equal(changes.length, 1);
+  });
+
+  test("constant activity is reported at the latest after maxWait", (t) => {
+    const { watcher, changes, emit, tick } = setup(t);
+    watcher.start();
+    for (let i = 0; i < 6; i += 1) {
+      emit(`file-${i}.tmp`);
+      tick(500);
+    }
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].length, 6);
+
+    // The next burst gets a fresh maxWait.
+    emit("later.tmp");
+    tick(999);
+    assert.equal(changes.length, 1);
+    tick(1);
+    assert.deepEqual(changes[1], [path.join(ROOT, "later.tmp")]);
+  });
+
+  test("an event without a filename asks for a rescan of the whole root", (t) => {
+    const { watcher, changes, emit, tick } = setup(t);
+    watcher.start();
+    emit("a.log");
+    emit(null);
+    tick(1000);
+    assert.deepEqual(changes, [null]);
+  });
+
+  test("ignored paths do not wake the watcher", (t) => {
+    const ignore = (absPath) => absPath.includes("node_modules");
+    const { watcher, changes, emit, tick } = setup(t, { ignore });
+    watcher.start();
+    emit(path.join("app", "node_modules", "x.js"));
+    tick(5000);
+    assert.deepEqual(changes, []);
+  });
+
+  for (const code of ["ENOSPC", "EMFILE"]) {
+    test(`falls back to polling when watching fails with ${code}`, (t) => {
+      const { watcher, warn, changes, statuses, tick } = setup(t, {
+        watch: () => {
+          throw limitError(code);
+        }
+      });
+      watcher.start();
+      assert.deepEqual(
+        statuses.map((status) => [status.mode, status.reason]),
+        [["polling", code]]
+      );
+      assert.match(
+        warn.mock.calls[0].arguments[0],
+        new RegExp(`\\(${code}, OS watch limit reached\\); falling back to rescans`)
+      );
+
+      tick(60 * 1000 - 1);
+      assert.deepEqual(changes, []);
+      tick(1);
+      assert.deepEqual(changes, [null]);
+      tick(2 * 60 * 1000);
+      assert.deepEqual(changes, [null, null, null]);
+
+      watcher.stop();
+      tick(5 * 60 * 1000);
+      assert.equal(changes.length, 3);
+      assert.equal(watcher.status().mode, "stopped");
+    });
+  }
+
+  test("an error from a running watcher closes it and switches to polling", (t) => {
+    const { watcher, handle, watch, changes, tick } = setup(t);
+    watcher.start();
+    handle.emit("error", limitError("ENOSPC"));
+    assert.equal(handle.close.mock.callCount(), 1);
+    assert.deepEqual(
+      { mode: watcher.status().mode, reason: watcher.status().reason },
+      { mode: "polling", reason: "ENOSPC" }
+    );
+
+    // Polling sticks: starting again does not try to watch.
+    watcher.start();
+    assert.equal(watch.mock.callCount(), 1);
+    tick(60 * 1000);
+    assert.deepEqual(changes, [null]);
+    watcher.stop();
+  });
+
+  test("other errors fall back too, without blaming the watch limit", (t) => {
+    const { watcher, warn } = setup(t, {
+      watch: () => {
+        throw new Error("recursive watch not supported");
+      }
+    });
+    watcher.start();
+    assert.equal(watcher.status().mode, "polling");
+    assert.equal(
+      warn.mock.calls[0].arguments[0],
+      `Watching ${ROOT} failed (recursive watch not supported); falling back to rescans`
+    );
+    watcher.stop();
+  });
+});
@@ -13,11 +13,43 @@ import {
 } from "react-native";
 import { StatusBar } from "expo-status-bar";
 import * as FileSystem from "expo-file-system";
+import * as Crypto from "expo-crypto";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  DEFAULT_AGE_RULES,
+  DEFAULT_RULES,
+  DUPLICATES_CATEGORY,
+  categoriesFromRules,
+  compileRules,
+  extensionOf,
+  isStale,
+  pathFromDeviceUri
+} from "../shared/classify.js";
+import { SNIFF_BYTES, contentMismatch, sniffContent } from "../shared/content.js";
+import {
+  PARTIAL_BYTES,
+  findDuplicateGroups,
+  keepOneCopy,
+  markDuplicates
+} from "../shared/duplicates.js";
 
 const API_BASE = "http://localhost:4000";
+// Issued by the backend admin (POST /api/tokens); needs the operator role to clean.
+const API_TOKEN = process.env.EXPO_PUBLIC_API_TOKEN || "";
+
+const apiFetch = (route, options = {}) =>
+  fetch(`${API_BASE}${route}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {})
+    }
+  });
+
 const HISTORY_KEY = "@storage_cleaner_history";
+const HASH_CACHE_KEY = "@storage_cleaner_hash_cache";
 const MAX_SCAN_FILES = 1500;
+const HASH_CHUNK_BYTES = 1024 * 1024;
 
 const fallbackData = {
   totalUsedMB: 11600,
@@ -33,20 +65,6 @@ const fallbackData = {
   ]
 };
 
-const MEDIA_EXTS = new Set([
-  ".mp4",
-  ".mov",
-  ".mkv",
-  ".avi",
-  ".zip",
-  ".rar",
-  ".7z",
-  ".tar",
-  ".gz",
-  ".iso"
-]);
-const LOG_EXTS = new Set([".log"]);
-
 const formatMB = (mb) => {
   if (mb >= 1024) return `${(mb / 1024).toFixed(1)} GB`;
   return `${mb} MB`;
@@ -57,50 +75,114 @@ const formatDate = (iso) => {
   return date.toLocaleString();
 };
 
-const guessNameFromUri = (uri) => {
-  const last = uri.split("/").pop() || uri;
+const describeRule = (rule) => {
+  if (!rule || !rule.minAgeDays) return "";
+  const verb = rule.basis === "atime" ? "untouched" : "unchanged";
+  return ` · ${verb} ${rule.minAgeDays}+ days`;
+};
+
+// Device scans use the same rules as the backend's defaults, so a path gets
+// the same category in both modes.
+const classify = compileRules(DEFAULT_RULES);
+const DEVICE_CATEGORIES = [...categoriesFromRules(DEFAULT_RULES), DUPLICATES_CATEGORY];
+
+const loadHashCache = async () => {
   try {
-    return decodeURIComponent(last);
+    const raw = await AsyncStorage.getItem(HASH_CACHE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" ? parsed : {};
   } catch {
-    return last;
+    return {};
   }
 };
 
-const categorizeName = (name, uri) => {
-  const lower = `${name} ${uri}`.toLowerCase();
-  if (lower.includes("/cache/") || lower.includes("/tmp/")) return "cache";
-  if (lower.includes("downloads") || lower.includes("download")) return "downloads";
-  const ext = name.toLowerCase().slice(name.lastIndexOf("."));
-  if (MEDIA_EXTS.has(ext)) return "media";
-  if (LOG_EXTS.has(ext)) return "logs";
-  return null;
+const saveHashCache = async (cache, files) => {
+  const live = {};
+  for (const file of files) {
+    if (cache[file.uri]) live[file.uri] = cache[file.uri];
+  }
+  try {
+    await AsyncStorage.setItem(HASH_CACHE_KEY, JSON.stringify(live));
+  } catch {
+    return;
+  }
 };
 
-const buildCategories = (files) => {
-  const categories = {
-    cache: [],
-    downloads: [],
-    duplicates: [],
-    media: [],
-    logs: []
-  };
+const readChunk = (uri, position, length) =>
+  FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position,
+    length
+  });
 
-  const duplicateMap = new Map();
-  for (const file of files) {
-    const key = `${file.name}:${file.size}`;
-    if (!duplicateMap.has(key)) duplicateMap.set(key, []);
-    duplicateMap.get(key).push(file);
+const digest = (value) => Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, value);
+
+// Cached hashes and content types are only trusted while size and mtime
+// still match.
+const cacheEntry = (cache, file) => {
+  let entry = cache[file.uri];
+  if (!entry || entry.size !== file.size || entry.mtime !== file.mtime) {
+    entry = { size: file.size, mtime: file.mtime };
+    cache[file.uri] = entry;
   }
+  return entry;
+};
 
-  for (const [, group] of duplicateMap.entries()) {
-    if (group.length > 1) {
-      for (const file of group.slice(1)) {
-        file.category = "duplicates";
-      }
+// SAF gives no streaming reads, so the full hash is a SHA-256 over the
+// per-chunk digests rather than over the raw bytes.
+const hashDeviceFile = async (file, kind, cache) => {
+  const entry = cacheEntry(cache, file);
+  if (entry[kind]) return entry[kind];
+
+  if (kind === "partial" || file.size <= PARTIAL_BYTES) {
+    entry.partial = await digest(await readChunk(file.uri, 0, PARTIAL_BYTES));
+    if (file.size <= PARTIAL_BYTES) entry.full = entry.partial;
+    return entry[kind];
+  }
+
+  const chunkDigests = [];
+  for (let position = 0; position < file.size; position += HASH_CHUNK_BYTES) {
+    chunkDigests.push(await digest(await readChunk(file.uri, position, HASH_CHUNK_BYTES)));
+  }
+  entry.full = await digest(chunkDigests.join(""));
+  return entry.full;
+};
+
+const sniffDeviceFile = async (file, cache) => {
+  const entry = cacheEntry(cache, file);
+  if (entry.contentType === undefined) {
+    try {
+      const head = atob(await readChunk(file.uri, 0, SNIFF_BYTES));
+      entry.contentType = sniffContent(Uint8Array.from(head, (char) => char.charCodeAt(0)));
+    } catch {
+      return null;
     }
   }
+  return entry.contentType;
+};
+
+const buildCategories = async (files) => {
+  const categories = Object.fromEntries(DEVICE_CATEGORIES.map((c) => [c.id, []]));
 
+  const hashCache = await loadHashCache();
   for (const file of files) {
+    if (file.size > 0) file.contentType = await sniffDeviceFile(file, hashCache);
+    file.category = classify(file)?.category ?? null;
+  }
+  const duplicateGroups = await findDuplicateGroups(files, (file, kind) =>
+    hashDeviceFile(file, kind, hashCache)
+  );
+  await saveHashCache(hashCache, files);
+
+  markDuplicates(duplicateGroups);
+
+  // Same age thresholds as the backend scan. SAF reports no access time,
+  // so atime-based rules fall back to the modification time.
+  const now = Date.now();
+  for (const file of files) {
+    if (file.category && !isStale(file, DEFAULT_AGE_RULES[file.category], now)) {
+      file.category = null;
+    }
     if (file.category && categories[file.category]) {
       categories[file.category].push(file);
     }
@@ -113,18 +195,17 @@ const buildCategories = (files) => {
     sizeMB: Math.round(categories[id].reduce((s, f) => s + f.size, 0) / (1024 * 1024))
   });
 
-  const list = [
-    summarize("cache", "App Cache", "Temporary app data"),
-    summarize("downloads", "Downloads", "Unsorted files"),
-    summarize("duplicates", "Duplicates", "Exact file copies"),
-    summarize("media", "Large Media", "Videos and archives"),
-    summarize("logs", "Old Logs", "System logs")
-  ];
+  const list = DEVICE_CATEGORIES.map((c) => summarize(c.id, c.name, c.description));
 
   const totalUsedMB = Math.round(files.reduce((s, f) => s + f.size, 0) / (1024 * 1024));
   const totalReclaimableMB = list.reduce((s, c) => s + c.sizeMB, 0);
 
-  return { list, categories, totalUsedMB, totalReclaimableMB };
+  const mismatches = {
+    totalFiles: files.filter((f) => contentMismatch(extensionOf(f.relativePath), f.contentType))
+      .length
+  };
+
+  return { list, categories, totalUsedMB, totalReclaimableMB, mismatches };
 };
 
 export default function App() {
@@ -134,6 +215,7 @@ export default function App() {
   const [selected, setSelected] = useState({});
   const [actionNote, setActionNote] = useState("");
   const [cleaning, setCleaning] = useState(false);
+  const [applyChanges, setApplyChanges] = useState(false);
   const [deviceMode, setDeviceMode] = useState(Platform.OS === "android");
   const [directoryUri, setDirectoryUri] = useState(null);
   const [scanNote, setScanNote] = useState("");
@@ -145,7 +227,7 @@ export default function App() {
     setLoading(true);
     setError(null);
     try {
-      const res = await fetch(`${API_BASE}/api/overview`);
+      const res = await apiFetch("/api/overview");
       if (!res.ok) throw new Error("Failed to load");
       const json = await res.json();
       setData(json);
@@ -238,13 +320,14 @@ export default function App() {
         await scanSafTree(child, files);
       }
     } else {
-      const name = guessNameFromUri(uri);
-      const category = categorizeName(name, uri);
+      const relativePath = pathFromDeviceUri(uri);
       files.push({
         uri,
-        name,
+        name: relativePath.split("/").pop(),
+        relativePath,
         size: info.size || 0,
-        category
+        mtime: info.modificationTime || 0,
+        mtimeMs: (info.modificationTime || 0) * 1000
       });
     }
   };
@@ -260,13 +343,14 @@ export default function App() {
     const limitReached = files.length >= MAX_SCAN_FILES;
     setScanLimitReached(limitReached);
 
-    const summary = buildCategories(files);
+    const summary = await buildCategories(files);
     const history = await loadLocalHistory();
 
     setData({
       lastScan: new Date().toISOString(),
       totalUsedMB: summary.totalUsedMB,
       totalReclaimableMB: summary.totalReclaimableMB,
+      mismatches: summary.mismatches,
       categories: summary.list,
       history
     });
@@ -319,12 +403,11 @@ export default function App() {
     try {
       const files = [];
       await scanSafTree(directoryUri, files);
-      const summary = buildCategories(files);
+      const summary = await buildCategories(files);
 
-      const targetFiles = [];
-      for (const id of selectedIds) {
-        targetFiles.push(...summary.categories[id]);
-      }
+      const { files: targetFiles } = keepOneCopy(
+        selectedIds.flatMap((id) => summary.categories[id])
+      );
 
       let cleanedBytes = 0;
       let cleanedFiles = 0;
@@ -340,7 +423,7 @@ export default function App() {
 
       const updatedFiles = [];
       await scanSafTree(directoryUri, updatedFiles);
-      const updatedSummary = buildCategories(updatedFiles);
+      const updatedSummary = await buildCategories(updatedFiles);
       const history = await loadLocalHistory();
       const entry = {
         id: `clean_${Date.now()}`,
@@ -358,6 +441,7 @@ export default function App() {
         totalUsedMB: updatedSummary.totalUsedMB,
         totalReclaimableMB: updatedSummary.totalReclaimableMB,
         categories: updatedSummary.list,
+        mismatches: updatedSummary.mismatches,
         history: nextHistory
       });
 
@@ -378,17 +462,34 @@ export default function App() {
     setActionNote("Cleaning in progress...");
     setCleaning(true);
     try {
-      const res = await fetch(`${API_BASE}/api/clean`, {
+      const planRes = await apiFetch("/api/clean/plan", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ categories: selectedIds })
       });
+      if (!planRes.ok) throw new Error("Failed to plan clean");
+      const plan = await planRes.json();
+      const res = await apiFetch("/api/clean/execute", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: plan.token, dryRun: !applyChanges, wait: true })
+      });
+      if (res.status === 409) {
+        const { changed } = await res.json();
+        setActionNote(
+          changed
+            ? `${changed.length} file(s) changed since the scan. Nothing was removed, rescan and try again.`
+            : "Another cleanup is still running. Nothing was removed, try again later."
+        );
+        await loadOverview();
+        return;
+      }
       if (!res.ok) throw new Error("Failed to clean");
       const json = await res.json();
       setData(json);
       const modeNote = json.simulated
-        ? " (simulated, enable deletion to apply)"
-        : "";
+        ? " (simulated, turn on Apply changes to remove files)"
+        : " Files moved to quarantine.";
       setActionNote(`Cleaned ${formatMB(json.cleanedMB)}.${modeNote}`);
     } catch (err) {
       setActionNote("Cleanup simulated locally.");
@@ -409,6 +510,25 @@ export default function App() {
     }
   };
 
+  const undoRun = async (id) => {
+    setActionNote("Restoring files...");
+    try {
+      const res = await apiFetch(`/api/history/${id}/undo`, { method: "POST" });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Failed to undo");
+      const conflictNote = json.conflicts.length
+        ? ` ${json.conflicts.length} file(s) skipped because the path is taken.`
+        : "";
+      const failedNote = json.failed.length
+        ? ` ${json.failed.length} file(s) could not be restored.`
+        : "";
+      setActionNote(`Restored ${json.restored.length} file(s).${conflictNote}${failedNote}`);
+      await loadOverview();
+    } catch (err) {
+      setActionNote(err.message || "Undo failed. Try again.");
+    }
+  };
+
   const toggleAll = () => {
     if (!data) return;
     const allSelected = data.categories.every((c) => selected[c.id]);
@@ -491,7 +611,10 @@ export default function App() {
             <View key={cat.id} style={styles.listItem}>
               <View style={styles.listText}>
                 <Text style={styles.listTitle}>{cat.name}</Text>
-                <Text style={styles.listSubtitle}>{cat.description}</Text>
+                <Text style={styles.listSubtitle}>
+                  {cat.description}
+                  {describeRule(cat.rule)}
+                </Text>
               </View>
               <View style={styles.listMeta}>
                 <Text style={styles.listValue}>{formatMB(cat.sizeMB)}</Text>
@@ -508,10 +631,28 @@ export default function App() {
           ))}
         </View>
 
+        {data?.mismatches?.totalFiles > 0 && (
+          <Text style={styles.note}>
+            {data.mismatches.totalFiles} file(s) have an extension that does not match their
+            content.
+          </Text>
+        )}
+
         <View style={styles.actionPanel}>
           <View>
             <Text style={styles.actionLabel}>Selected clean</Text>
             <Text style={styles.actionValue}>{formatMB(selectedMB)}</Text>
+            {!deviceMode && (
+              <View style={styles.applyRow}>
+                <Switch
+                  value={applyChanges}
+                  onValueChange={setApplyChanges}
+                  thumbColor={Platform.OS === "android" ? "#0c0c0c" : undefined}
+                  trackColor={{ true: "#0ddf9b", false: "#2a2a2a" }}
+                />
+                <Text style={styles.actionLabel}>Apply changes</Text>
+              </View>
+            )}
           </View>
           <Pressable
             style={({ pressed }) => [
@@ -566,11 +707,19 @@ export default function App() {
                 </Text>
                 <Text style={styles.historySubtitle}>
                   {formatDate(item.time)}
+                  {item.scheduled ? " · Scheduled" : ""}
+                </Text>
+              </View>
+              <View style={styles.historyActions}>
+                {!deviceMode && !item.simulated && !item.reverted && Array.isArray(item.files) && (
+                  <Pressable onPress={() => undoRun(item.id)} style={styles.toggleAll}>
+                    <Text style={styles.toggleAllText}>Undo</Text>
+                  </Pressable>
+                )}
+                <Text style={styles.historyTag}>
+                  {item.simulated ? "Simulated" : item.reverted ? "Reverted" : "Applied"}
                 </Text>
               </View>
-              <Text style={styles.historyTag}>
-                {item.simulated ? "Simulated" : "Applied"}
-              </Text>
             </View>
           ))}
         </View>
@@ -784,6 +933,12 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: "700"
   },
+  applyRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8
+  },
   cleanButton: {
     backgroundColor: "#00f5a0",
     paddingVertical: 12,
@@ -844,6 +999,11 @@ const styles = StyleSheet.create({
     fontSize: 11,
     marginTop: 4
   },
+  historyActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8
+  },
   historyTag: {
     color: "#0b0b0b",
     backgroundColor: "#c9f7e2",
@@ -0,0 +1,9 @@
+const path = require("path");
+const { getDefaultConfig } = require("expo/metro-config");
+
+// App.js imports the classification rules from ../shared, which the backend
+// uses as well; Metro only bundles files from folders it watches.
+const config = getDefaultConfig(__dirname);
+config.watchFolders = [path.resolve(__dirname, "../shared")];
+
+module.exports = config;
@@ -0,0 +1,203 @@
+import { contentKind } from "./content.js";
+import { compileGlob, toPosix } from "./glob.js";
+
+// Classification shared by the backend scan and the app's device scan, so a
+// path lands in the same category either way. Nothing here may depend on
+// Node or React Native: files are plain objects with a `relativePath` (from
+// the storage root, either separator), `size`, `mtimeMs` and optionally
+// `atimeMs` and the `contentType` sniffed from their first bytes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RULES = [
+  {
+    id: "cache-dirs",
+    category: "cache",
+    name: "App Cache",
+    description: "Temporary app data",
+    match: { directories: ["cache", "tmp"] }
+  },
+  {
+    id: "downloads-dir",
+    category: "downloads",
+    name: "Downloads",
+    description: "Unsorted files",
+    // Android names the folder "Download".
+    match: { directories: ["downloads", "download"] }
+  },
+  {
+    id: "media-content",
+    category: "media",
+    name: "Large Media",
+    description: "Videos and archives",
+    match: { kinds: ["video", "archive"] }
+  },
+  {
+    id: "image-content",
+    category: "images",
+    name: "Images",
+    description: "Photos and pictures",
+    match: { kinds: ["image"] }
+  },
+  {
+    id: "audio-content",
+    category: "audio",
+    name: "Audio",
+    description: "Music and recordings",
+    match: { kinds: ["audio"] }
+  },
+  {
+    id: "installer-content",
+    category: "installers",
+    name: "Installers",
+    description: "APKs and setup packages",
+    match: { kinds: ["installer"] }
+  },
+  {
+    id: "log-exts",
+    category: "logs",
+    name: "Old Logs",
+    description: "System logs",
+    match: { extensions: [".log"] }
+  }
+];
+
+// Exact copies are found by hashing, not by rules, but both scans report
+// them as this category.
+export const DUPLICATES_CATEGORY = {
+  id: "duplicates",
+  name: "Duplicates",
+  description: "Exact file copies"
+};
+
+const baseName = (relativePath) => {
+  const posix = toPosix(relativePath);
+  return posix.slice(posix.lastIndexOf("/") + 1);
+};
+
+// Lower-cased extension with its dot, following path.extname: a leading dot
+// starts a hidden file's name rather than an extension.
+export const extensionOf = (relativePath) => {
+  const name = baseName(relativePath);
+  if (name === "..") return "";
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot).toLowerCase() : "";
+};
+
+// Lower-cased names of the directories above the file, outermost first.
+export const directoriesOf = (relativePath) =>
+  toPosix(relativePath)
+    .toLowerCase()
+    .split("/")
+    .slice(0, -1)
+    .filter((segment) => segment && segment !== ".");
+
+const decodeUriPart = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// The device scan's path for a file URI. SAF document URIs end in an
+// encoded document id such as "primary:Download/clip.mp4"; without the
+// volume that is the file's path on the device. Other URIs use their path.
+export const pathFromDeviceUri = (uri) => {
+  const marker = uri.lastIndexOf("/document/");
+  if (marker === -1) {
+    return decodeUriPart(uri.replace(/^[a-z]+:\/\//i, "")).replace(/^\/+/, "");
+  }
+  const documentId = decodeUriPart(uri.slice(marker + "/document/".length));
+  return documentId.slice(documentId.indexOf(":") + 1);
+};
+
+export const normalizeExtension = (ext) => {
+  const lower = ext.toLowerCase();
+  return lower.startsWith(".") ? lower : `.${lower}`;
+};
+
+// `mtime` ages a file by its last write; `atime` by its last access or write,
+// whichever is newer, since relatime mounts only update atime lazily.
+export const fileAgeDays = (file, basis, now = Date.now()) => {
+  const touched = basis === "atime" ? Math.max(file.atimeMs || 0, file.mtimeMs) : file.mtimeMs;
+  return (now - touched) / DAY_MS;
+};
+
+// How long a file must sit untouched before its category counts it as
+// reclaimable, so a log written today is not offered for cleaning. The
+// backend lets settings and the environment change these; the device scan
+// uses them as they are. Categories without an entry count every file.
+export const DEFAULT_AGE_RULES = {
+  cache: { basis: "atime", minAgeDays: 3 },
+  downloads: { basis: "atime", minAgeDays: 30 },
+  logs: { basis: "mtime", minAgeDays: 14 }
+};
+
+export const isStale = (file, rule, now = Date.now()) => {
+  if (!rule || !rule.minAgeDays) return true;
+  return fileAgeDays(file, rule.basis, now) >= rule.minAgeDays;
+};
+
+// Every criterion present on a rule must hold; list criteria match if any
+// entry matches.
+const compileMatch = (match) => {
+  const tests = [];
+  if (match.glob) {
+    const globs = match.glob.map(compileGlob);
+    tests.push((file) => globs.some((test) => test(file.relativePath)));
+  }
+  if (match.extensions) {
+    const exts = new Set(match.extensions.map(normalizeExtension));
+    tests.push((file) => exts.has(extensionOf(file.relativePath)));
+  }
+  if (match.kinds) {
+    const kinds = new Set(match.kinds);
+    tests.push((file) =>
+      kinds.has(contentKind(extensionOf(file.relativePath), file.contentType))
+    );
+  }
+  if (match.directories) {
+    const dirs = new Set(match.directories.map((dir) => dir.toLowerCase()));
+    tests.push((file) => directoriesOf(file.relativePath).some((dir) => dirs.has(dir)));
+  }
+  if (match.pathPrefix) {
+    const prefix = toPosix(match.pathPrefix).replace(/^\/+/, "").toLowerCase();
+    tests.push((file) => toPosix(file.relativePath).toLowerCase().startsWith(prefix));
+  }
+  if (match.minSize !== undefined) tests.push((file) => file.size >= match.minSize);
+  if (match.maxSize !== undefined) tests.push((file) => file.size <= match.maxSize);
+  if (match.minAgeDays !== undefined) {
+    const basis = match.ageBasis || "mtime";
+    tests.push((file, now) => fileAgeDays(file, basis, now) >= match.minAgeDays);
+  }
+  return (file, now) => tests.every((test) => test(file, now));
+};
+
+// Rules are evaluated in list order and the first enabled rule that matches
+// decides the category. A file no rule matches is not reclaimable.
+export const compileRules = (rules) => {
+  const compiled = rules
+    .filter((rule) => rule.enabled !== false)
+    .map((rule) => ({ rule, test: compileMatch(rule.match) }));
+  return (file, now = Date.now()) => {
+    for (const { rule, test } of compiled) {
+      if (test(file, now)) return rule;
+    }
+    return null;
+  };
+};
+
+// Category metadata comes from the first rule that names the category.
+export const categoriesFromRules = (rules) => {
+  const categories = new Map();
+  for (const rule of rules) {
+    if (rule.enabled === false || categories.has(rule.category)) continue;
+    categories.set(rule.category, {
+      id: rule.category,
+      name: rule.name,
+      description: rule.description || ""
+    });
+  }
+  return Array.from(categories.values());
+};
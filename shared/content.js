@@ -0,0 +1,266 @@
+// File types recognised from their first bytes, shared by the backend and
+// the device scan. A type's `kind` is what the category rules match on;
+// `family` groups types that share a container (a .docx is a zip, a .mov
+// is an ISO media file), so a file whose extension names another member of
+// the same family is not reported as mismatched. Types without `test` are
+// only ever known from their extension.
+
+// Enough for the tar header at 257 and a zip's first entry name.
+export const SNIFF_BYTES = 512;
+
+const ascii = (value) => Array.from(value, (char) => char.charCodeAt(0));
+
+const bytesAt = (bytes, offset, expected) =>
+  bytes.length >= offset + expected.length &&
+  expected.every((value, i) => bytes[offset + i] === value);
+
+const textAt = (bytes, offset, value) => bytesAt(bytes, offset, ascii(value));
+
+const textOf = (bytes, start, end) =>
+  String.fromCharCode(...Array.from(bytes.slice(start, Math.min(end, bytes.length))));
+
+// ISO base media files (mp4, mov, heic, m4a) name their flavour right after
+// the "ftyp" box type.
+const ftypBrand = (bytes) => (textAt(bytes, 4, "ftyp") ? textOf(bytes, 8, 12) : null);
+
+// Name of the first entry in a zip file, from its local file header.
+const firstZipEntry = (bytes) => {
+  if (!bytesAt(bytes, 0, [0x50, 0x4b, 0x03, 0x04])) return null;
+  const length = bytes[26] | (bytes[27] << 8);
+  return textOf(bytes, 30, 30 + length);
+};
+
+const magic = (...values) => (b) => bytesAt(b, 0, values);
+const text = (value, offset = 0) => (b) => textAt(b, offset, value);
+const anyOf = (...tests) => (b) => tests.some((test) => test(b));
+const riff = (form) => (b) => textAt(b, 0, "RIFF") && textAt(b, 8, form);
+const brandIn = (brands) => (b) => brands.includes(ftypBrand(b));
+const zipEntryIn = (names) => (b) => names.includes(firstZipEntry(b));
+
+const IMAGE_BRANDS = ["heic", "heix", "hevc", "hevx", "mif1", "msf1", "avif", "avis"];
+const AUDIO_BRANDS = ["M4A ", "M4B ", "M4P "];
+
+// Checked in order, so the specific members of a family come before the
+// catch-all one (apk before zip, mov before mp4).
+const TYPES = [
+  // Images
+  {
+    type: "jpeg",
+    kind: "image",
+    extensions: [".jpg", ".jpeg", ".jpe", ".jfif"],
+    test: magic(0xff, 0xd8, 0xff)
+  },
+  {
+    type: "png",
+    kind: "image",
+    extensions: [".png"],
+    test: magic(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)
+  },
+  { type: "gif", kind: "image", extensions: [".gif"], test: anyOf(text("GIF87a"), text("GIF89a")) },
+  { type: "webp", kind: "image", family: "riff", extensions: [".webp"], test: riff("WEBP") },
+  {
+    type: "tiff",
+    kind: "image",
+    extensions: [".tif", ".tiff", ".dng", ".nef", ".cr2", ".arw"],
+    test: anyOf(magic(0x49, 0x49, 0x2a, 0x00), magic(0x4d, 0x4d, 0x00, 0x2a))
+  },
+  {
+    type: "bmp",
+    kind: "image",
+    extensions: [".bmp"],
+    test: (b) => textAt(b, 0, "BM") && bytesAt(b, 6, [0, 0, 0, 0])
+  },
+  {
+    type: "heif",
+    kind: "image",
+    family: "isobmff",
+    extensions: [".heic", ".heif", ".avif"],
+    test: brandIn(IMAGE_BRANDS)
+  },
+  { type: "svg", kind: "image", extensions: [".svg"] },
+
+  // Audio
+  {
+    type: "m4a",
+    kind: "audio",
+    family: "isobmff",
+    extensions: [".m4a", ".m4b"],
+    test: brandIn(AUDIO_BRANDS)
+  },
+  {
+    type: "mp3",
+    kind: "audio",
+    extensions: [".mp3"],
+    test: anyOf(text("ID3"), (b) => b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0)
+  },
+  {
+    type: "aac",
+    kind: "audio",
+    extensions: [".aac"],
+    test: (b) => b[0] === 0xff && (b[1] & 0xf6) === 0xf0
+  },
+  { type: "flac", kind: "audio", extensions: [".flac"], test: text("fLaC") },
+  { type: "ogg", kind: "audio", extensions: [".ogg", ".oga", ".opus"], test: text("OggS") },
+  { type: "wav", kind: "audio", family: "riff", extensions: [".wav"], test: riff("WAVE") },
+  {
+    type: "aiff",
+    kind: "audio",
+    extensions: [".aif", ".aiff"],
+    test: (b) => textAt(b, 0, "FORM") && (textAt(b, 8, "AIFF") || textAt(b, 8, "AIFC"))
+  },
+  { type: "amr", kind: "audio", extensions: [".amr"], test: text("#!AMR") },
+  { type: "midi", kind: "audio", extensions: [".mid", ".midi"], test: text("MThd") },
+
+  // Video
+  { type: "mov", kind: "video", family: "isobmff", extensions: [".mov"], test: brandIn(["qt  "]) },
+  {
+    type: "mp4",
+    kind: "video",
+    family: "isobmff",
+    extensions: [".mp4", ".m4v", ".3gp", ".3g2", ".f4v"],
+    test: (b) => ftypBrand(b) !== null
+  },
+  {
+    type: "matroska",
+    kind: "video",
+    extensions: [".mkv", ".webm", ".mka"],
+    test: magic(0x1a, 0x45, 0xdf, 0xa3)
+  },
+  { type: "avi", kind: "video", family: "riff", extensions: [".avi"], test: riff("AVI ") },
+  { type: "flv", kind: "video", extensions: [".flv"], test: text("FLV") },
+  {
+    type: "mpeg",
+    kind: "video",
+    extensions: [".mpg", ".mpeg", ".vob"],
+    test: magic(0x00, 0x00, 0x01, 0xba)
+  },
+  {
+    type: "asf",
+    kind: "video",
+    extensions: [".wmv", ".wma", ".asf"],
+    test: magic(0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11)
+  },
+
+  // Installers
+  {
+    type: "apk",
+    kind: "installer",
+    family: "zip",
+    extensions: [".apk", ".xapk", ".apks", ".aab"],
+    test: zipEntryIn(["AndroidManifest.xml", "classes.dex", "resources.arsc"])
+  },
+  { type: "ipa", kind: "installer", family: "zip", extensions: [".ipa"] },
+  { type: "exe", kind: "installer", family: "pe", extensions: [".exe"], test: text("MZ") },
+  { type: "dll", kind: null, family: "pe", extensions: [".dll", ".sys"] },
+  { type: "msi", kind: "installer", family: "ole", extensions: [".msi"] },
+  { type: "deb", kind: "installer", extensions: [".deb"], test: text("!<arch>\ndebian-binary") },
+  { type: "rpm", kind: "installer", extensions: [".rpm"], test: magic(0xed, 0xab, 0xee, 0xdb) },
+  { type: "pkg", kind: "installer", extensions: [".pkg", ".xip"], test: text("xar!") },
+  {
+    type: "appimage",
+    kind: "installer",
+    extensions: [".appimage"],
+    test: (b) => bytesAt(b, 0, [0x7f, 0x45, 0x4c, 0x46]) && textAt(b, 8, "AI\x02")
+  },
+  { type: "dmg", kind: "installer", extensions: [".dmg"] },
+
+  // Documents that are containers underneath
+  {
+    type: "ooxml",
+    kind: null,
+    family: "zip",
+    extensions: [".docx", ".xlsx", ".pptx"],
+    test: zipEntryIn(["[Content_Types].xml"])
+  },
+  {
+    type: "odf",
+    kind: null,
+    family: "zip",
+    extensions: [".odt", ".ods", ".odp", ".epub"],
+    test: zipEntryIn(["mimetype"])
+  },
+  { type: "jar", kind: null, family: "zip", extensions: [".jar", ".war"] },
+  {
+    type: "ole",
+    kind: null,
+    family: "ole",
+    extensions: [".doc", ".xls", ".ppt", ".msg"],
+    test: magic(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)
+  },
+  { type: "pdf", kind: null, extensions: [".pdf"], test: text("%PDF-") },
+  {
+    type: "text",
+    kind: null,
+    extensions: [".txt", ".csv", ".json", ".xml", ".html", ".md", ".log"]
+  },
+
+  // Archives
+  {
+    type: "zip",
+    kind: "archive",
+    family: "zip",
+    extensions: [".zip", ".cbz"],
+    test: anyOf(magic(0x50, 0x4b, 0x03, 0x04), magic(0x50, 0x4b, 0x05, 0x06))
+  },
+  {
+    type: "rar",
+    kind: "archive",
+    extensions: [".rar", ".cbr"],
+    test: magic(0x52, 0x61, 0x72, 0x21, 0x1a, 0x07)
+  },
+  {
+    type: "7z",
+    kind: "archive",
+    extensions: [".7z"],
+    test: magic(0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c)
+  },
+  { type: "gzip", kind: "archive", extensions: [".gz", ".tgz"], test: magic(0x1f, 0x8b) },
+  { type: "bzip2", kind: "archive", extensions: [".bz2", ".tbz2"], test: text("BZh") },
+  {
+    type: "xz",
+    kind: "archive",
+    extensions: [".xz", ".txz"],
+    test: magic(0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00)
+  },
+  { type: "zstd", kind: "archive", extensions: [".zst"], test: magic(0x28, 0xb5, 0x2f, 0xfd) },
+  { type: "tar", kind: "archive", extensions: [".tar"], test: text("ustar", 257) },
+  { type: "iso", kind: "archive", extensions: [".iso"] }
+].map((entry) => ({ family: entry.type, ...entry }));
+
+export const CONTENT_KINDS = ["image", "audio", "video", "archive", "installer"];
+
+const BY_TYPE = new Map(TYPES.map((entry) => [entry.type, entry]));
+const BY_EXTENSION = new Map(
+  TYPES.flatMap((entry) => entry.extensions.map((ext) => [ext, entry]))
+);
+
+// Names the type of the given leading bytes (a Uint8Array or Buffer), or
+// null when no signature matches, as for plain text.
+export const sniffContent = (bytes) => {
+  for (const entry of TYPES) {
+    if (entry.test && entry.test(bytes)) return entry.type;
+  }
+  return null;
+};
+
+export const typeForExtension = (ext) => BY_EXTENSION.get(ext)?.type ?? null;
+
+// The kind of `file` given its lower-cased `extension` and sniffed
+// `contentType`. Content wins over the extension, except that within one
+// family the extension is more specific than the container it names.
+export const contentKind = (extension, contentType) => {
+  const byExt = BY_EXTENSION.get(extension);
+  const byContent = contentType ? BY_TYPE.get(contentType) : null;
+  if (byContent && byExt && byContent.family === byExt.family) return byExt.kind;
+  return (byContent || byExt)?.kind ?? null;
+};
+
+// Reports an extension that names a known type while the content is of an
+// unrelated one, e.g. a zip renamed to .mp4. Unknown extensions and
+// unrecognised content are not reported.
+export const contentMismatch = (extension, contentType) => {
+  const byExt = BY_EXTENSION.get(extension);
+  const byContent = contentType ? BY_TYPE.get(contentType) : null;
+  if (!byExt || !byContent || byExt.family === byContent.family) return null;
+  return { extension, expected: byExt.type, actual: byContent.type };
+};
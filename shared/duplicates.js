@@ -0,0 +1,88 @@
+// Duplicate detection shared by the backend scan and the app's device scan,
+// so both flag the same copies. Files are plain objects as in classify.js;
+// reading them is left to the caller's `hash(file, kind)`, which resolves to
+// a digest of the first PARTIAL_BYTES ("partial") or of the whole file
+// ("full"). Files no larger than PARTIAL_BYTES are only hashed once.
+
+import { DUPLICATES_CATEGORY } from "./classify.js";
+
+export const PARTIAL_BYTES = 64 * 1024;
+
+// Files whose key cannot be computed (e.g. unreadable) are left out.
+const groupBy = async (files, keyOf) => {
+  const groups = new Map();
+  for (const file of files) {
+    let key;
+    try {
+      key = await keyOf(file);
+    } catch {
+      continue;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  }
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+};
+
+// The copy to keep is a protected one, then one that no cleanup category
+// would remove, then the oldest.
+const byKeeper = (a, b) =>
+  Boolean(b.protected) - Boolean(a.protected) ||
+  Boolean(a.category) - Boolean(b.category) ||
+  a.mtimeMs - b.mtimeMs ||
+  a.relativePath.length - b.relativePath.length ||
+  a.relativePath.localeCompare(b.relativePath);
+
+// Narrows candidates by size, then by a hash of the first 64 KB, then by a
+// full hash, so only byte-identical files end up in the same group. Files
+// are expected to be classified already: each group is ordered with the copy
+// to keep first, and that depends on `protected` and `category`.
+export const findDuplicateGroups = async (files, hash) => {
+  const groups = [];
+  const bySize = await groupBy(
+    files.filter((file) => file.size > 0),
+    (file) => file.size
+  );
+
+  for (const sizeGroup of bySize) {
+    const byPartial = await groupBy(sizeGroup, (file) => hash(file, "partial"));
+    for (const partialGroup of byPartial) {
+      const byFull =
+        partialGroup[0].size > PARTIAL_BYTES
+          ? await groupBy(partialGroup, (file) => hash(file, "full"))
+          : [partialGroup];
+      for (const group of byFull) groups.push(group.sort(byKeeper));
+    }
+  }
+
+  return groups;
+};
+
+// Flags every copy but the keeper as a duplicate, unless it is protected.
+// Each member records the group's paths, keeper first, so a clean can tell
+// when it would remove all of them.
+export const markDuplicates = (groups) => {
+  for (const group of groups) {
+    const copies = group.map((file) => file.relativePath);
+    group.forEach((file, i) => {
+      file.copies = copies;
+      if (i > 0 && !file.protected) file.category = DUPLICATES_CATEGORY.id;
+    });
+  }
+};
+
+// A clean never removes every copy of a file: when `files` holds a whole
+// duplicate group, e.g. an old download and its copies in duplicates, the
+// group's keeper is left out. Returns the files to clean and the paths of
+// the keepers that were left out.
+export const keepOneCopy = (files) => {
+  const paths = new Set(files.map((file) => file.relativePath));
+  const kept = new Set();
+  for (const { copies } of files) {
+    if (copies && copies.every((copy) => paths.has(copy))) kept.add(copies[0]);
+  }
+  return {
+    files: files.filter((file) => !kept.has(file.relativePath)),
+    kept: Array.from(kept)
+  };
+};
@@ -0,0 +1,44 @@
+const escape = (char) => char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+
+// Supports `**`, `*`, `?` and `{a,b}`. Matching is case-insensitive and
+// always against forward-slash paths relative to the storage root.
+export const globToRegExp = (pattern) => {
+  let source = "";
+  let inGroup = false;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const slashAfter = pattern[i + 2] === "/";
+      source += slashAfter ? "(?:.*/)?" : ".*";
+      i += slashAfter ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+};
+
+export const toPosix = (value) => value.split("\\").join("/");
+
+// A pattern without a slash matches the file name anywhere in the tree, the
+// same way .gitignore treats it; anything else matches the whole path.
+export const compileGlob = (pattern) => {
+  const regex = globToRegExp(pattern.replace(/^\/+/, ""));
+  const matchName = !pattern.includes("/");
+  return (relativePath) => {
+    const posix = toPosix(relativePath);
+    return regex.test(matchName ? posix.slice(posix.lastIndexOf("/") + 1) : posix);
+  };
+};